@@ -0,0 +1,187 @@
+import { BLOCKS } from './blocks.js';
+import { TREE_SPECIES } from './vegetation.js';
+
+const BIOME_DEFAULTS = Object.freeze({
+  climate: null,
+  surfaceBlock: 'grass',
+  fillerBlock: 'dirt',
+  shoreBlock: 'sand',
+  trees: null,
+  decorations: Object.freeze({}),
+  mapColor: null,
+  animals: Object.freeze({ grazer: 0.7, hunter: 0.3 }),
+  heightScale: 1,
+  heightOffset: 0,
+});
+
+const BIOME_DEFINITIONS = [
+  {
+    id: 0,
+    key: 'plains',
+    name: 'Plains',
+    climate: { temperature: 0.5, humidity: 0.45, elevation: 0.15 },
+    trees: { densityOffset: 0, species: { apple: 2, oak: 2, birch: 1 } },
+    decorations: { tall_grass: 0.16, red_flower: 0.012, yellow_flower: 0.012 },
+    mapColor: '#4f8f3e',
+    animals: { grazer: 0.75, hunter: 0.25 },
+  },
+  {
+    id: 1,
+    key: 'desert',
+    name: 'Desert',
+    climate: { temperature: 0.82, humidity: 0.2, elevation: 0.15 },
+    surfaceBlock: 'sand',
+    fillerBlock: 'sand',
+    trees: { densityOffset: 0.07, species: { cactus: 1 } },
+    decorations: { dead_bush: 0.025 },
+    mapColor: '#d8c27e',
+    animals: { grazer: 0.5, hunter: 0.5 },
+    heightScale: 0.7,
+  },
+  {
+    id: 2,
+    key: 'snow',
+    name: 'Snowy Plains',
+    climate: { temperature: 0.16, humidity: 0.55, elevation: 0.2 },
+    surfaceBlock: 'snow',
+    shoreBlock: 'snow',
+    trees: { densityOffset: 0.06, species: { spruce: 1 } },
+    mapColor: '#f4f9ff',
+    animals: { grazer: 0.6, hunter: 0.4 },
+  },
+  {
+    id: 3,
+    key: 'forest',
+    name: 'Forest',
+    climate: { temperature: 0.52, humidity: 0.68, elevation: 0.2 },
+    trees: { densityOffset: -0.24, species: { oak: 3, birch: 2, apple: 1 } },
+    decorations: { tall_grass: 0.1, red_flower: 0.008, yellow_flower: 0.004 },
+    mapColor: '#3d7a34',
+    animals: { grazer: 0.65, hunter: 0.35 },
+    heightScale: 1.1,
+  },
+  {
+    id: 4,
+    key: 'swamp',
+    name: 'Swamp',
+    climate: { temperature: 0.62, humidity: 0.86, elevation: 0 },
+    shoreBlock: 'mud',
+    trees: { densityOffset: -0.04, species: { oak: 1 } },
+    decorations: { tall_grass: 0.22 },
+    mapColor: '#4a6b3a',
+    animals: { grazer: 0.55, hunter: 0.45 },
+    heightScale: 0.35,
+    heightOffset: -1,
+  },
+  {
+    id: 5,
+    key: 'savanna',
+    name: 'Savanna',
+    climate: { temperature: 0.74, humidity: 0.36, elevation: 0.15 },
+    surfaceBlock: 'dry_grass',
+    trees: { densityOffset: 0.09, species: { oak: 1 } },
+    decorations: { tall_grass: 0.2, dead_bush: 0.02 },
+    mapColor: '#9aa04a',
+    animals: { grazer: 0.8, hunter: 0.2 },
+    heightScale: 0.8,
+  },
+  {
+    id: 6,
+    key: 'tundra',
+    name: 'Tundra',
+    climate: { temperature: 0.2, humidity: 0.25, elevation: 0.25 },
+    surfaceBlock: 'snow',
+    shoreBlock: 'dirt',
+    decorations: { dead_bush: 0.01 },
+    mapColor: '#dfe6e8',
+    animals: { grazer: 0.7, hunter: 0.3 },
+    heightScale: 0.6,
+  },
+  {
+    id: 7,
+    key: 'badlands',
+    name: 'Badlands',
+    climate: { temperature: 0.86, humidity: 0.08, elevation: 0.3 },
+    surfaceBlock: 'red_sand',
+    fillerBlock: 'terracotta',
+    shoreBlock: 'red_sand',
+    trees: { densityOffset: 0.1, species: { cactus: 1 } },
+    decorations: { dead_bush: 0.03 },
+    mapColor: '#b8633a',
+    animals: { grazer: 0.4, hunter: 0.6 },
+    heightScale: 1.35,
+    heightOffset: 4,
+  },
+  {
+    id: 8,
+    key: 'jungle',
+    name: 'Jungle',
+    climate: { temperature: 0.8, humidity: 0.82, elevation: 0.2 },
+    trees: { densityOffset: -0.34, species: { jungle: 3, apple: 1 } },
+    decorations: { tall_grass: 0.3, red_flower: 0.01, yellow_flower: 0.01 },
+    mapColor: '#2f7d2a',
+    animals: { grazer: 0.6, hunter: 0.4 },
+    heightScale: 1.15,
+  },
+];
+
+const biomeRegistry = new Map();
+
+function resolveBlock(key, biomeKey) {
+  if (!(key in BLOCKS)) throw new Error(`Biome "${biomeKey}" uses unknown block "${key}"`);
+  return BLOCKS[key];
+}
+
+function resolveTrees(trees, biomeKey) {
+  if (!trees) return null;
+  const species = Object.entries(trees.species).map(([key, weight]) => {
+    if (!(key in TREE_SPECIES)) throw new Error(`Biome "${biomeKey}" uses unknown tree species "${key}"`);
+    return Object.freeze({ key, species: TREE_SPECIES[key], weight });
+  });
+  return Object.freeze({ densityOffset: trees.densityOffset, species: Object.freeze(species) });
+}
+
+function resolveDecorations(decorations, biomeKey) {
+  return Object.freeze(Object.entries(decorations).map(([key, chance]) => Object.freeze({ block: resolveBlock(key, biomeKey), chance })));
+}
+
+function defineBiome(definition) {
+  if (!Number.isInteger(definition.id) || definition.id < 0 || definition.id > 127) {
+    throw new Error(`Biome "${definition.key}" needs an id between 0 and 127`);
+  }
+  if (biomeRegistry.has(definition.id)) throw new Error(`Biome id ${definition.id} is already used`);
+  if (!definition.climate) throw new Error(`Biome "${definition.key}" needs a climate`);
+  const biome = { ...BIOME_DEFAULTS, ...definition };
+  const frozen = Object.freeze({
+    ...biome,
+    climate: Object.freeze({ ...biome.climate }),
+    trees: resolveTrees(biome.trees, biome.key),
+    decorations: resolveDecorations(biome.decorations, biome.key),
+    animals: Object.freeze({ ...biome.animals }),
+    surfaceBlock: resolveBlock(biome.surfaceBlock, biome.key),
+    fillerBlock: resolveBlock(biome.fillerBlock, biome.key),
+    shoreBlock: resolveBlock(biome.shoreBlock, biome.key),
+  });
+  biomeRegistry.set(frozen.id, frozen);
+  return frozen;
+}
+
+BIOME_DEFINITIONS.forEach(defineBiome);
+
+export const BIOMES = Object.freeze(Object.fromEntries([...biomeRegistry.values()].map((biome) => [biome.key, biome.id])));
+export const BIOME_LIST = Object.freeze([...biomeRegistry.values()]);
+
+export function getBiome(id) {
+  return biomeRegistry.get(id) || biomeRegistry.get(BIOMES.plains);
+}
+
+export function pickBiomeAnimalType(id, roll) {
+  const entries = Object.entries(getBiome(id).animals);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let remaining = roll * total;
+  for (const [type, weight] of entries) {
+    remaining -= weight;
+    if (remaining < 0) return type;
+  }
+  return entries[entries.length - 1][0];
+}
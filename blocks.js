@@ -0,0 +1,290 @@
+export const ATLAS_COLUMNS = 8;
+export const ATLAS_TILE_SIZE = 16;
+
+export const ATLAS_TILES = Object.freeze([
+  { name: 'stone', color: '#5d6875', pattern: 'speckle' },
+  { name: 'dirt', color: '#805d3b', pattern: 'speckle' },
+  { name: 'grass_top', color: '#58a83f', pattern: 'blades' },
+  { name: 'grass_side', color: '#805d3b', pattern: 'overhang', accent: '#58a83f' },
+  { name: 'wood_side', color: '#7b5534', pattern: 'bark' },
+  { name: 'wood_top', color: '#9c7348', pattern: 'rings', accent: '#6b4629' },
+  { name: 'leaf', color: '#3f8f3f', pattern: 'leaves' },
+  { name: 'water', color: '#3e8fe3', pattern: 'waves' },
+  { name: 'sand', color: '#dfcb8d', pattern: 'speckle' },
+  { name: 'apple', color: '#c42929', pattern: 'fruit', accent: '#3f8f3f' },
+  { name: 'snow', color: '#ffffff', pattern: 'speckle' },
+  { name: 'glowstone', color: '#f2d17a', pattern: 'glow', accent: '#b9812f' },
+  { name: 'red_sand', color: '#c4703d', pattern: 'speckle' },
+  { name: 'terracotta', color: '#9c5a3c', pattern: 'speckle' },
+  { name: 'mud', color: '#4a3b2c', pattern: 'speckle' },
+  { name: 'dry_grass_top', color: '#a8a64a', pattern: 'blades' },
+  { name: 'dry_grass_side', color: '#805d3b', pattern: 'overhang', accent: '#a8a64a' },
+  { name: 'birch_side', color: '#ddd8cc', pattern: 'birch', accent: '#3b3631' },
+  { name: 'birch_top', color: '#cfc3a5', pattern: 'rings', accent: '#9e9076' },
+  { name: 'birch_leaf', color: '#6da84e', pattern: 'leaves' },
+  { name: 'spruce_side', color: '#4f3823', pattern: 'bark' },
+  { name: 'spruce_top', color: '#80603f', pattern: 'rings', accent: '#4f3823' },
+  { name: 'spruce_leaf', color: '#2e5c3b', pattern: 'leaves' },
+  { name: 'cactus_side', color: '#3f8c3a', pattern: 'ribs', accent: '#2a6629' },
+  { name: 'cactus_top', color: '#54a04a', pattern: 'rings', accent: '#2a6629' },
+  { name: 'tall_grass', color: '#5fae43', pattern: 'tuft' },
+  { name: 'dead_bush', color: '#8a6a3f', pattern: 'twigs' },
+  { name: 'red_flower', color: '#d23b3b', pattern: 'flower', accent: '#3f8f3f' },
+  { name: 'yellow_flower', color: '#f1d23a', pattern: 'flower', accent: '#3f8f3f' },
+  { name: 'coal_ore', color: '#5d6875', pattern: 'ore', accent: '#24262b' },
+  { name: 'iron_ore', color: '#5d6875', pattern: 'ore', accent: '#d4a27a' },
+  { name: 'gold_ore', color: '#5d6875', pattern: 'ore', accent: '#f2cb3b' },
+  { name: 'crystal', color: '#86dcec', pattern: 'crystal', accent: '#3a78b5' },
+  { name: 'planks', color: '#a97b4a', pattern: 'planks' },
+  { name: 'cobblestone', color: '#7a7f86', pattern: 'cobble', accent: '#4d5157' },
+  { name: 'mossy_cobblestone', color: '#7a7f86', pattern: 'cobble', accent: '#4f7a3a' },
+  { name: 'sandstone', color: '#d9c58c', pattern: 'strata', accent: '#c2ab70' },
+  { name: 'gravel', color: '#8d8478', pattern: 'speckle' },
+]);
+
+const atlasTileIndex = new Map(ATLAS_TILES.map((tile, index) => [tile.name, index]));
+
+const BLOCK_DEFAULTS = Object.freeze({
+  color: null,
+  textures: null,
+  roughness: 0.95,
+  solid: true,
+  transparent: false,
+  opacity: 1,
+  mapColor: null,
+  edible: false,
+  placeable: false,
+  shape: 'cube',
+  lightEmission: 0,
+  lightFilter: 15,
+});
+
+const BLOCK_DEFINITIONS = [
+  { id: 0, key: 'air', name: 'Air', solid: false, transparent: true, lightFilter: 0 },
+  { id: 1, key: 'stone', name: 'Stone', color: '#5d6875', textures: 'stone', roughness: 0.95, mapColor: '#596675', placeable: true },
+  { id: 2, key: 'dirt', name: 'Dirt', color: '#805d3b', textures: 'dirt', roughness: 1, mapColor: '#7a5838', placeable: true },
+  {
+    id: 3,
+    key: 'grass',
+    name: 'Grass',
+    color: '#58a83f',
+    textures: { top: 'grass_top', side: 'grass_side', bottom: 'dirt' },
+    roughness: 0.95,
+    mapColor: '#4f8f3e',
+    placeable: true,
+  },
+  {
+    id: 4,
+    key: 'wood',
+    name: 'Wood',
+    color: '#7b5534',
+    textures: { top: 'wood_top', side: 'wood_side', bottom: 'wood_top' },
+    roughness: 0.95,
+    mapColor: '#6e4c2f',
+    placeable: true,
+  },
+  { id: 5, key: 'leaf', name: 'Leaves', color: '#3f8f3f', textures: 'leaf', roughness: 0.9, mapColor: '#3a8037', placeable: true },
+  {
+    id: 6,
+    key: 'water',
+    name: 'Water',
+    color: '#3e8fe3',
+    textures: 'water',
+    roughness: 0.2,
+    solid: false,
+    transparent: true,
+    opacity: 0.65,
+    mapColor: '#346fba',
+    lightFilter: 2,
+  },
+  { id: 7, key: 'sand', name: 'Sand', color: '#dfcb8d', textures: 'sand', roughness: 0.96, mapColor: '#d8c27e', placeable: true },
+  { id: 8, key: 'apple', name: 'Apple', color: '#c42929', textures: 'apple', roughness: 0.72, mapColor: '#b83232', edible: true, placeable: true },
+  { id: 9, key: 'snow', name: 'Snow', color: '#ffffff', textures: 'snow', roughness: 0.78, mapColor: '#f4f9ff', placeable: true },
+  {
+    id: 10,
+    key: 'glowstone',
+    name: 'Glowstone',
+    color: '#f2d17a',
+    textures: 'glowstone',
+    roughness: 0.6,
+    mapColor: '#e8c35e',
+    placeable: true,
+    lightEmission: 15,
+  },
+  { id: 11, key: 'red_sand', name: 'Red Sand', color: '#c4703d', textures: 'red_sand', roughness: 0.96, mapColor: '#b8633a', placeable: true },
+  { id: 12, key: 'terracotta', name: 'Terracotta', color: '#9c5a3c', textures: 'terracotta', roughness: 0.9, mapColor: '#935238', placeable: true },
+  { id: 13, key: 'mud', name: 'Mud', color: '#4a3b2c', textures: 'mud', roughness: 1, mapColor: '#4a3d30', placeable: true },
+  {
+    id: 14,
+    key: 'dry_grass',
+    name: 'Dry Grass',
+    color: '#a8a64a',
+    textures: { top: 'dry_grass_top', side: 'dry_grass_side', bottom: 'dirt' },
+    roughness: 0.95,
+    mapColor: '#9aa04a',
+    placeable: true,
+  },
+  {
+    id: 15,
+    key: 'birch_wood',
+    name: 'Birch Wood',
+    color: '#ddd8cc',
+    textures: { top: 'birch_top', side: 'birch_side', bottom: 'birch_top' },
+    roughness: 0.95,
+    mapColor: '#cfc9bb',
+    placeable: true,
+  },
+  { id: 16, key: 'birch_leaf', name: 'Birch Leaves', color: '#6da84e', textures: 'birch_leaf', roughness: 0.9, mapColor: '#659b49', placeable: true },
+  {
+    id: 17,
+    key: 'spruce_wood',
+    name: 'Spruce Wood',
+    color: '#4f3823',
+    textures: { top: 'spruce_top', side: 'spruce_side', bottom: 'spruce_top' },
+    roughness: 0.95,
+    mapColor: '#4a3521',
+    placeable: true,
+  },
+  { id: 18, key: 'spruce_leaf', name: 'Spruce Leaves', color: '#2e5c3b', textures: 'spruce_leaf', roughness: 0.9, mapColor: '#2b5436', placeable: true },
+  {
+    id: 19,
+    key: 'cactus',
+    name: 'Cactus',
+    color: '#3f8c3a',
+    textures: { top: 'cactus_top', side: 'cactus_side', bottom: 'cactus_top' },
+    roughness: 0.85,
+    mapColor: '#3c8437',
+  },
+  {
+    id: 20,
+    key: 'tall_grass',
+    name: 'Tall Grass',
+    color: '#5fae43',
+    textures: 'tall_grass',
+    solid: false,
+    transparent: true,
+    shape: 'cross',
+    lightFilter: 0,
+  },
+  {
+    id: 21,
+    key: 'dead_bush',
+    name: 'Dead Bush',
+    color: '#8a6a3f',
+    textures: 'dead_bush',
+    solid: false,
+    transparent: true,
+    shape: 'cross',
+    lightFilter: 0,
+  },
+  {
+    id: 22,
+    key: 'red_flower',
+    name: 'Red Flower',
+    color: '#d23b3b',
+    textures: 'red_flower',
+    solid: false,
+    transparent: true,
+    shape: 'cross',
+    lightFilter: 0,
+  },
+  {
+    id: 23,
+    key: 'yellow_flower',
+    name: 'Yellow Flower',
+    color: '#f1d23a',
+    textures: 'yellow_flower',
+    solid: false,
+    transparent: true,
+    shape: 'cross',
+    lightFilter: 0,
+  },
+  { id: 24, key: 'coal_ore', name: 'Coal Ore', color: '#4b535e', textures: 'coal_ore', roughness: 0.95, mapColor: '#3c4249', placeable: true },
+  { id: 25, key: 'iron_ore', name: 'Iron Ore', color: '#7a7068', textures: 'iron_ore', roughness: 0.85, mapColor: '#8c7462', placeable: true },
+  { id: 26, key: 'gold_ore', name: 'Gold Ore', color: '#8a7c4c', textures: 'gold_ore', roughness: 0.6, mapColor: '#c9a93a', placeable: true },
+  {
+    id: 27,
+    key: 'crystal',
+    name: 'Crystal',
+    color: '#86dcec',
+    textures: 'crystal',
+    roughness: 0.25,
+    mapColor: '#7dd3e6',
+    placeable: true,
+    lightEmission: 9,
+  },
+  { id: 28, key: 'planks', name: 'Planks', color: '#a97b4a', textures: 'planks', roughness: 0.9, mapColor: '#9c7144', placeable: true },
+  { id: 29, key: 'cobblestone', name: 'Cobblestone', color: '#7a7f86', textures: 'cobblestone', roughness: 0.95, mapColor: '#70757c', placeable: true },
+  {
+    id: 30,
+    key: 'mossy_cobblestone',
+    name: 'Mossy Cobblestone',
+    color: '#6f7d66',
+    textures: 'mossy_cobblestone',
+    roughness: 0.95,
+    mapColor: '#66745d',
+    placeable: true,
+  },
+  { id: 31, key: 'sandstone', name: 'Sandstone', color: '#d9c58c', textures: 'sandstone', roughness: 0.9, mapColor: '#cdb87f', placeable: true },
+  { id: 32, key: 'gravel', name: 'Gravel', color: '#8d8478', textures: 'gravel', roughness: 1, mapColor: '#857c70', placeable: true },
+];
+
+const blockRegistry = new Map();
+
+function resolveTile(name, blockKey) {
+  if (!atlasTileIndex.has(name)) throw new Error(`Block "${blockKey}" uses unknown atlas tile "${name}"`);
+  return atlasTileIndex.get(name);
+}
+
+function resolveBlockTiles(definition) {
+  if (!definition.textures) return null;
+  const textures = typeof definition.textures === 'string'
+    ? { top: definition.textures, side: definition.textures, bottom: definition.textures }
+    : definition.textures;
+  return Object.freeze({
+    top: resolveTile(textures.top, definition.key),
+    side: resolveTile(textures.side, definition.key),
+    bottom: resolveTile(textures.bottom, definition.key),
+  });
+}
+
+function defineBlock(definition) {
+  if (!Number.isInteger(definition.id) || definition.id < 0 || definition.id > 255) {
+    throw new Error(`Block "${definition.key}" needs an id between 0 and 255`);
+  }
+  if (blockRegistry.has(definition.id)) throw new Error(`Block id ${definition.id} is already used`);
+  const block = Object.freeze({ ...BLOCK_DEFAULTS, ...definition, tiles: resolveBlockTiles(definition) });
+  blockRegistry.set(block.id, block);
+  return block;
+}
+
+BLOCK_DEFINITIONS.forEach(defineBlock);
+
+export const BLOCKS = Object.freeze(Object.fromEntries([...blockRegistry.values()].map((block) => [block.key, block.id])));
+export const BLOCK_LIST = Object.freeze([...blockRegistry.values()]);
+export const RENDERED_BLOCK_TYPES = Object.freeze(BLOCK_LIST.filter((block) => block.color).map((block) => block.id));
+export const PLACEABLE_BLOCK_TYPES = Object.freeze(BLOCK_LIST.filter((block) => block.placeable).map((block) => block.id));
+
+export function getBlock(type) {
+  return blockRegistry.get(type) || blockRegistry.get(BLOCKS.air);
+}
+
+export function isSolidBlock(type) {
+  return getBlock(type).solid;
+}
+
+export function isTransparentBlock(type) {
+  return getBlock(type).transparent;
+}
+
+export function isCrossBlock(type) {
+  return getBlock(type).shape === 'cross';
+}
+
+export function getBlockFaceTile(type, normalY) {
+  const { tiles } = getBlock(type);
+  if (!tiles) return 0;
+  if (normalY > 0) return tiles.top;
+  if (normalY < 0) return tiles.bottom;
+  return tiles.side;
+}
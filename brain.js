@@ -0,0 +1,104 @@
+export const BRAIN_INPUTS = Object.freeze([
+  'foodProximity',
+  'foodSin',
+  'foodCos',
+  'waterProximity',
+  'waterSin',
+  'waterCos',
+  'predatorProximity',
+  'predatorSin',
+  'predatorCos',
+  'preyProximity',
+  'preySin',
+  'preyCos',
+  'hunger',
+  'thirst',
+  'energy',
+]);
+
+export const BRAIN_OUTPUTS = Object.freeze(['turn', 'speed', 'flee', 'eat', 'drink', 'reproduce']);
+export const BRAIN_INPUT_INDEX = Object.freeze(Object.fromEntries(BRAIN_INPUTS.map((key, index) => [key, index])));
+export const BRAIN_OUTPUT_INDEX = Object.freeze(Object.fromEntries(BRAIN_OUTPUTS.map((key, index) => [key, index])));
+export const BRAIN_HIDDEN_SIZE = 8;
+
+const INPUT_COUNT = BRAIN_INPUTS.length;
+const OUTPUT_COUNT = BRAIN_OUTPUTS.length;
+const HIDDEN_OFFSET = 0;
+const HIDDEN_OUTPUT_OFFSET = HIDDEN_OFFSET + BRAIN_HIDDEN_SIZE * (INPUT_COUNT + 1);
+const DIRECT_OFFSET = HIDDEN_OUTPUT_OFFSET + OUTPUT_COUNT * BRAIN_HIDDEN_SIZE;
+
+export const BRAIN_GENOME_SIZE = DIRECT_OFFSET + OUTPUT_COUNT * (INPUT_COUNT + 1);
+
+const BRAIN_INSTINCTS = Object.freeze([
+  ['speed', null, -0.4],
+  ['speed', 'hunger', 0.6],
+  ['speed', 'predatorProximity', 2.5],
+  ['flee', null, -2],
+  ['flee', 'predatorProximity', 8],
+  ['eat', null, -1.5],
+  ['eat', 'hunger', 5],
+  ['eat', 'thirst', -2.5],
+  ['drink', null, -1.5],
+  ['drink', 'thirst', 5],
+  ['drink', 'hunger', -2.5],
+  ['reproduce', null, -1],
+  ['reproduce', 'energy', 3],
+]);
+
+function directIndex(output, input) {
+  const outputIndex = BRAIN_OUTPUT_INDEX[output];
+  const inputIndex = input === null ? INPUT_COUNT : BRAIN_INPUT_INDEX[input];
+  if (outputIndex === undefined || inputIndex === undefined) throw new Error(`Unknown brain connection "${input}" -> "${output}"`);
+  return DIRECT_OFFSET + outputIndex * (INPUT_COUNT + 1) + inputIndex;
+}
+
+const INSTINCT_GENES = BRAIN_INSTINCTS.map(([output, input, weight]) => [directIndex(output, input), weight]);
+
+export function createBrainGenome(random) {
+  const genome = new Array(BRAIN_GENOME_SIZE);
+  for (let i = 0; i < BRAIN_GENOME_SIZE; i += 1) {
+    const scale = i < HIDDEN_OUTPUT_OFFSET ? 0.6 : 0.25;
+    genome[i] = (random() * 2 - 1) * scale;
+  }
+  for (const [index, weight] of INSTINCT_GENES) genome[index] += weight;
+  return genome;
+}
+
+function describeInput(index) {
+  return index === INPUT_COUNT ? 'bias' : BRAIN_INPUTS[index];
+}
+
+export function describeBrainGene(index) {
+  if (index < HIDDEN_OUTPUT_OFFSET) {
+    const local = index - HIDDEN_OFFSET;
+    return `${describeInput(local % (INPUT_COUNT + 1))} → h${Math.floor(local / (INPUT_COUNT + 1))}`;
+  }
+  if (index < DIRECT_OFFSET) {
+    const local = index - HIDDEN_OUTPUT_OFFSET;
+    return `h${local % BRAIN_HIDDEN_SIZE} → ${BRAIN_OUTPUTS[Math.floor(local / BRAIN_HIDDEN_SIZE)]}`;
+  }
+  const local = index - DIRECT_OFFSET;
+  return `${describeInput(local % (INPUT_COUNT + 1))} → ${BRAIN_OUTPUTS[Math.floor(local / (INPUT_COUNT + 1))]}`;
+}
+
+function sigmoid(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+export function runBrain(genome, inputs, hidden, outputs) {
+  for (let h = 0; h < BRAIN_HIDDEN_SIZE; h += 1) {
+    const base = HIDDEN_OFFSET + h * (INPUT_COUNT + 1);
+    let sum = genome[base + INPUT_COUNT];
+    for (let i = 0; i < INPUT_COUNT; i += 1) sum += genome[base + i] * inputs[i];
+    hidden[h] = Math.tanh(sum);
+  }
+  for (let o = 0; o < OUTPUT_COUNT; o += 1) {
+    const hiddenBase = HIDDEN_OUTPUT_OFFSET + o * BRAIN_HIDDEN_SIZE;
+    const directBase = DIRECT_OFFSET + o * (INPUT_COUNT + 1);
+    let sum = genome[directBase + INPUT_COUNT];
+    for (let h = 0; h < BRAIN_HIDDEN_SIZE; h += 1) sum += genome[hiddenBase + h] * hidden[h];
+    for (let i = 0; i < INPUT_COUNT; i += 1) sum += genome[directBase + i] * inputs[i];
+    outputs[o] = o === BRAIN_OUTPUT_INDEX.turn ? Math.tanh(sum) : sigmoid(sum);
+  }
+  return outputs;
+}
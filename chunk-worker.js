@@ -0,0 +1,37 @@
+import { buildChunkMeshData, buildTerrainLodData, createWorldGenerator, loadChunkEdits, setChunkEdits } from './world-gen.js';
+
+let generator = null;
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (message.type === 'configure') {
+    generator = createWorldGenerator(message.seed, message.profile);
+    loadChunkEdits(generator, { edits: message.edits });
+    return;
+  }
+
+  if (message.type === 'edits') {
+    setChunkEdits(generator, message.key, message.entries);
+    return;
+  }
+
+  if (message.type === 'lod') {
+    try {
+      const lod = buildTerrainLodData(generator, message.tileX, message.tileZ);
+      self.postMessage({ ...message, type: 'lod-built', lod }, [lod.positions.buffer, lod.colors.buffer, lod.indices.buffer]);
+    } catch (error) {
+      self.postMessage({ ...message, type: 'failed', error: String(error) });
+    }
+    return;
+  }
+
+  if (message.type === 'build') {
+    try {
+      const meshes = buildChunkMeshData(generator, message.cx, message.cz);
+      const transfer = meshes.flatMap((mesh) => [mesh.positions.buffer, mesh.normals.buffer, mesh.uvs.buffer, mesh.tiles.buffer, mesh.ao.buffer, mesh.light.buffer, mesh.indices.buffer]);
+      self.postMessage({ ...message, type: 'built', meshes }, transfer);
+    } catch (error) {
+      self.postMessage({ ...message, type: 'failed', error: String(error) });
+    }
+  }
+});
@@ -0,0 +1,63 @@
+import { BLOCKS } from './blocks.js';
+import { BIOMES } from './biomes.js';
+
+const ORE_DEFAULTS = Object.freeze({
+  minY: 1,
+  peakY: 8,
+  maxY: 32,
+  scale: 0.2,
+  abundance: 0.01,
+  biomes: Object.freeze({}),
+});
+
+const ORE_DEFINITIONS = [
+  { id: 0, key: 'coal', block: 'coal_ore', minY: 4, peakY: 28, maxY: 80, scale: 0.16, abundance: 0.014, biomes: { forest: 1.4, swamp: 1.6 } },
+  { id: 1, key: 'iron', block: 'iron_ore', minY: 2, peakY: 12, maxY: 48, scale: 0.2, abundance: 0.009, biomes: { tundra: 1.5, snow: 1.3 } },
+  { id: 2, key: 'gold', block: 'gold_ore', minY: 1, peakY: 5, maxY: 24, scale: 0.24, abundance: 0.005, biomes: { badlands: 3, desert: 1.5 } },
+  { id: 3, key: 'crystal', block: 'crystal', minY: 1, peakY: 3, maxY: 14, scale: 0.3, abundance: 0.004, biomes: { snow: 1.6, jungle: 1.4 } },
+];
+
+const oreRegistry = new Map();
+
+function resolveBlock(key, oreKey) {
+  if (!(key in BLOCKS)) throw new Error(`Ore "${oreKey}" uses unknown block "${key}"`);
+  return BLOCKS[key];
+}
+
+function resolveBiomeModifiers(biomes, oreKey) {
+  const modifiers = new Map();
+  for (const [key, factor] of Object.entries(biomes)) {
+    if (!(key in BIOMES)) throw new Error(`Ore "${oreKey}" uses unknown biome "${key}"`);
+    modifiers.set(BIOMES[key], factor);
+  }
+  return modifiers;
+}
+
+function defineOre(definition) {
+  if (!Number.isInteger(definition.id) || definition.id < 0) throw new Error(`Ore "${definition.key}" needs a non-negative id`);
+  if (oreRegistry.has(definition.id)) throw new Error(`Ore id ${definition.id} is already used`);
+  const ore = { ...ORE_DEFAULTS, ...definition };
+  if (!(ore.minY <= ore.peakY && ore.peakY <= ore.maxY)) throw new Error(`Ore "${ore.key}" needs minY <= peakY <= maxY`);
+  const frozen = Object.freeze({
+    ...ore,
+    block: resolveBlock(ore.block, ore.key),
+    biomes: resolveBiomeModifiers(ore.biomes, ore.key),
+  });
+  oreRegistry.set(frozen.id, frozen);
+  return frozen;
+}
+
+ORE_DEFINITIONS.forEach(defineOre);
+
+export const ORES = Object.freeze(Object.fromEntries([...oreRegistry.values()].map((ore) => [ore.key, ore.id])));
+export const ORE_LIST = Object.freeze([...oreRegistry.values()]);
+
+export function oreDepthFactor(ore, y) {
+  if (y < ore.minY || y > ore.maxY) return 0;
+  if (y <= ore.peakY) return ore.peakY === ore.minY ? 1 : (y - ore.minY + 1) / (ore.peakY - ore.minY + 1);
+  return (ore.maxY - y + 1) / (ore.maxY - ore.peakY + 1);
+}
+
+export function oreBiomeFactor(ore, biomeId) {
+  return ore.biomes.get(biomeId) ?? 1;
+}
@@ -1,70 +1,133 @@
 import * as THREE from 'three';
-
-const WORLD_SIZE = 252;
-const MAX_HEIGHT = Math.round(16 * 1.3 * 5);
-const OCEAN_LEVEL = 8;
-
-const CHUNK_SIZE = 16;
-const WORLD_CHUNKS = Math.ceil(WORLD_SIZE / CHUNK_SIZE);
-const RENDER_DISTANCE = WORLD_CHUNKS;
+import {
+  ATLAS_COLUMNS,
+  ATLAS_TILES,
+  ATLAS_TILE_SIZE,
+  BLOCKS,
+  PLACEABLE_BLOCK_TYPES,
+  RENDERED_BLOCK_TYPES,
+  getBlock,
+  isCrossBlock,
+  isSolidBlock,
+} from './blocks.js';
+import { getBiome, pickBiomeAnimalType } from './biomes.js';
+import {
+  BRAIN_GENOME_SIZE,
+  BRAIN_HIDDEN_SIZE,
+  BRAIN_INPUTS,
+  BRAIN_INPUT_INDEX,
+  BRAIN_OUTPUTS,
+  BRAIN_OUTPUT_INDEX,
+  createBrainGenome,
+  describeBrainGene,
+  runBrain,
+} from './brain.js';
+import {
+  CHUNK_SIZE,
+  DEFAULT_WORLD_GEN_PROFILE,
+  DEFAULT_WORLD_SIZE,
+  ENDLESS_WORLD_SIZE,
+  MAX_HEIGHT,
+  MAX_LIGHT_LEVEL,
+  TERRAIN_LOD_TILE_SIZE,
+  WORLD_GEN_PROFILE_FIELDS,
+  applyVoxelEdit,
+  biomeAt,
+  chunkKey,
+  clampToWorld,
+  createWorldGenerator,
+  hasWaterAt,
+  getVoxelTypeAt,
+  getWorldGenProfile,
+  isChunkInWorld,
+  isColumnInWorld,
+  isEndlessWorld,
+  loadChunkEdits,
+  sampleTerrainColorAtWorld,
+  structuresInArea,
+  terrainHeight,
+} from './world-gen.js';
+
+const DEFAULT_VIEW_DISTANCE = 8;
+const MIN_VIEW_DISTANCE = 2;
+const MAX_VIEW_DISTANCE = 16;
+const CHUNK_UNLOAD_MARGIN = 1;
+const BUILD_RETRY_DELAY = 1000;
+const BUILD_RETRY_MAX_DELAY = 60000;
+const WORKER_RESTART_LIMIT = 3;
+const MAP_WINDOW_SIZE = 256;
+const LOD_RADIUS_TILES = 8;
+const LOD_SINK = 0.4;
+const MAX_LOD_JOBS = 2;
 const SHADOW_CAST_DISTANCE = 2;
-const MAX_CHUNK_BUILDS_PER_FRAME = 1;
+const CHUNK_WORKER_COUNT = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+const MAX_CHUNK_JOBS_PER_WORKER = 2;
 const FLY_SPEED_MULTIPLIER = 3;
-
-const BLOCK_AIR = 0;
-const BLOCK_STONE = 1;
-const BLOCK_DIRT = 2;
-const BLOCK_GRASS = 3;
-const BLOCK_WOOD = 4;
-const BLOCK_LEAF = 5;
-const BLOCK_WATER = 6;
-const BLOCK_SAND = 7;
-const BLOCK_APPLE = 8;
-const BLOCK_SNOW = 9;
-
-const BIOME_PLAINS = 0;
-const BIOME_DESERT = 1;
-const BIOME_SNOW = 2;
-
-const TREE_SPACING = 6;
-const TREE_CANOPY_RADIUS = 1;
-const TREE_DENSITY_THRESHOLD = 0.84;
-const TREE_LEAF_CHANCE = 0.8;
-const TREE_APPLE_CHANCE = 0.08;
-const SAND_WATER_RADIUS = 3;
-const MOUNTAIN_HEIGHT_THRESHOLD = MAX_HEIGHT - 20;
-const CAVE_MIN_Y = 3;
-const CAVE_SCALE = 0.16;
-const CAVE_THRESHOLD = 0.78;
-
-const DEFAULT_WORLD_GEN_PROFILE = Object.freeze({
-  oceanLevel: OCEAN_LEVEL,
-  treeSpacing: TREE_SPACING,
-  treeCanopyRadius: TREE_CANOPY_RADIUS,
-  treeDensityThreshold: TREE_DENSITY_THRESHOLD,
-  treeLeafChance: TREE_LEAF_CHANCE,
-  treeAppleChance: TREE_APPLE_CHANCE,
-  sandWaterRadius: SAND_WATER_RADIUS,
-  mountainHeightThreshold: MOUNTAIN_HEIGHT_THRESHOLD,
-  caveMinY: CAVE_MIN_Y,
-  caveScale: CAVE_SCALE,
-  caveThreshold: CAVE_THRESHOLD,
-});
+const MOONLIGHT_INTENSITY = 0.22;
 
 const WORLD_SAVE_KEY = 'voxel-sandbox-worlds-v1';
+const ECOSYSTEM_SAVE_KEY = 'voxel-sandbox-ecosystem-v1';
+const ECOSYSTEM_DB_NAME = 'voxel-sandbox-ecosystems';
+const ECOSYSTEM_DB_STORE = 'ecosystems';
+const ECOSYSTEM_SAVE_INTERVAL = 30000;
+const WORLD_EDIT_SAVE_DELAY = 2000;
+const ECOSYSTEM_ANIMAL_BYTES = 1024 + BRAIN_GENOME_SIZE * Float64Array.BYTES_PER_ELEMENT;
+const ECOSYSTEM_RECORD_BYTES = 256;
+const SAVED_ANIMAL_FIELDS = Object.freeze([
+  'id',
+  'type',
+  'radius',
+  'weight',
+  'heading',
+  'energy',
+  'maxHealth',
+  'health',
+  'maxHunger',
+  'age',
+  'hunger',
+  'maxThirst',
+  'thirst',
+  'drinking',
+  'goal',
+  'foodSearchCooldown',
+  'waterSearchCooldown',
+  'preyId',
+  'predatorId',
+  'targetSearchCooldown',
+  'neurons',
+  'speedFactor',
+  'generation',
+  'parentId',
+]);
 const WORLD_OPTION_KEY = 'voxel-sandbox-options-v1';
+const RESOURCE_PACK_KEY = 'voxel-sandbox-resource-pack-v1';
 
 const canvas = document.getElementById('scene');
 const statusEl = document.getElementById('status');
+const meshStatsEl = document.getElementById('mesh-stats');
+const saveStatusEl = document.getElementById('save-status');
 const homeMenuEl = document.getElementById('home-menu');
 const worldHudEl = document.getElementById('world-hud');
 const worldListEl = document.getElementById('world-list');
 const newWorldNameInput = document.getElementById('new-world-name');
 const createWorldBtn = document.getElementById('create-world-btn');
 const optionStartFly = document.getElementById('option-start-fly');
+const optionAutoPinStructures = document.getElementById('option-auto-pin-structures');
+const optionViewDistance = document.getElementById('option-view-distance');
+const viewDistanceValueEl = document.getElementById('view-distance-value');
+const newWorldSizeSelect = document.getElementById('new-world-size');
+const advancedWorldSettingsEl = document.getElementById('advanced-world-settings');
+const newWorldSeedInput = document.getElementById('new-world-seed');
+const randomizeSeedBtn = document.getElementById('randomize-seed-btn');
+const resetWorldGenBtn = document.getElementById('reset-world-gen-btn');
+const worldGenFieldsEl = document.getElementById('world-gen-fields');
+const worldPreviewCanvas = document.getElementById('world-gen-preview');
+const worldPreviewCtx = worldPreviewCanvas.getContext('2d');
 const worldTitleEl = document.getElementById('world-title');
 const backHomeBtn = document.getElementById('back-home-btn');
 const timeSpeedButtons = [...document.querySelectorAll('[data-time-speed]')];
+const pauseSimBtn = document.getElementById('pause-sim-btn');
+const stepSimBtn = document.getElementById('step-sim-btn');
 const miniMapEl = document.getElementById('mini-map');
 const miniMapCanvas = document.getElementById('mini-map-canvas');
 const miniMapCtx = miniMapCanvas.getContext('2d');
@@ -75,6 +138,26 @@ const closeMapBtn = document.getElementById('close-map-btn');
 const mapContextMenuEl = document.getElementById('map-context-menu');
 const addGrazerBtn = document.getElementById('add-grazer-btn');
 const addHunterBtn = document.getElementById('add-hunter-btn');
+const addHerdBtn = document.getElementById('add-herd-btn');
+const animalInspectorEl = document.getElementById('animal-inspector');
+const inspectorTitleEl = document.getElementById('inspector-title');
+const closeInspectorBtn = document.getElementById('close-inspector-btn');
+const inspectorVitalsEl = document.getElementById('inspector-vitals');
+const inspectorLineageEl = document.getElementById('inspector-lineage');
+const inspectorNeuronsEl = document.getElementById('inspector-neurons');
+const inspectorWeightsTitleEl = document.getElementById('inspector-weights-title');
+const inspectorWeightsEl = document.getElementById('inspector-weights');
+const toggleStatsBtn = document.getElementById('toggle-stats-btn');
+const statsPanelEl = document.getElementById('stats-panel');
+const statsSummaryEl = document.getElementById('stats-summary');
+const statsChartsEl = document.getElementById('stats-charts');
+const exportStatsBtn = document.getElementById('export-stats-btn');
+const closeStatsBtn = document.getElementById('close-stats-btn');
+const crosshairEl = document.getElementById('crosshair');
+const resourcePackInput = document.getElementById('resource-pack-input');
+const resetResourcePackBtn = document.getElementById('reset-resource-pack-btn');
+const downloadAtlasLink = document.getElementById('download-atlas-link');
+const resourcePackStatusEl = document.getElementById('resource-pack-status');
 
 const renderer = new THREE.WebGLRenderer({ canvas, antialias: false, powerPreference: 'high-performance' });
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
@@ -84,8 +167,9 @@ renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
 const scene = new THREE.Scene();
 scene.background = new THREE.Color('#87b9ff');
+scene.fog = new THREE.Fog(scene.background.clone(), 100, LOD_RADIUS_TILES * TERRAIN_LOD_TILE_SIZE);
 
-const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, WORLD_SIZE * 3);
+const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 800);
 camera.position.set(12, 18, 12);
 
 const hemiLight = new THREE.HemisphereLight('#dbefff', '#4e633f', 0.8);
@@ -95,54 +179,157 @@ const sun = new THREE.DirectionalLight('#fff7d2', 1.1);
 sun.position.set(60, 90, 35);
 scene.add(sun);
 
-const sunVisual = new THREE.Mesh(new THREE.SphereGeometry(6, 20, 20), new THREE.MeshBasicMaterial({ color: '#ffe78a' }));
+const sunVisual = new THREE.Mesh(new THREE.SphereGeometry(6, 20, 20), new THREE.MeshBasicMaterial({ color: '#ffe78a', fog: false }));
 scene.add(sunVisual);
 
-const moonVisual = new THREE.Mesh(new THREE.SphereGeometry(4.5, 18, 18), new THREE.MeshBasicMaterial({ color: '#d5e3ff' }));
+const moonVisual = new THREE.Mesh(new THREE.SphereGeometry(4.5, 18, 18), new THREE.MeshBasicMaterial({ color: '#d5e3ff', fog: false }));
 scene.add(moonVisual);
 
 const world = new THREE.Group();
 scene.add(world);
 
-const materials = {
-  [BLOCK_STONE]: new THREE.MeshStandardMaterial({ color: '#5d6875', roughness: 0.95, side: THREE.DoubleSide }),
-  [BLOCK_DIRT]: new THREE.MeshStandardMaterial({ color: '#805d3b', roughness: 1, side: THREE.DoubleSide }),
-  [BLOCK_GRASS]: new THREE.MeshStandardMaterial({ color: '#58a83f', roughness: 0.95, side: THREE.DoubleSide }),
-  [BLOCK_WOOD]: new THREE.MeshStandardMaterial({ color: '#7b5534', roughness: 0.95, side: THREE.DoubleSide }),
-  [BLOCK_LEAF]: new THREE.MeshStandardMaterial({ color: '#3f8f3f', roughness: 0.9, side: THREE.DoubleSide }),
-  [BLOCK_WATER]: new THREE.MeshStandardMaterial({ color: '#3e8fe3', roughness: 0.2, transparent: true, opacity: 0.65, depthWrite: false, side: THREE.DoubleSide }),
-  [BLOCK_SAND]: new THREE.MeshStandardMaterial({ color: '#dfcb8d', roughness: 0.96, side: THREE.DoubleSide }),
-  [BLOCK_APPLE]: new THREE.MeshStandardMaterial({ color: '#c42929', roughness: 0.72, side: THREE.DoubleSide }),
-  [BLOCK_SNOW]: new THREE.MeshStandardMaterial({ color: '#ffffff', roughness: 0.78, side: THREE.DoubleSide }),
+const chunkShaderUniforms = {
+  atlasEdge: { value: 0.5 / ATLAS_TILE_SIZE },
+  blockLightStrength: { value: 0.35 },
 };
 
-let worldSeed = 1;
-let seedOffsetA = 0;
-let seedOffsetB = 0;
+function applyChunkShader(material) {
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.atlasEdge = chunkShaderUniforms.atlasEdge;
+    shader.uniforms.blockLightStrength = chunkShaderUniforms.blockLightStrength;
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute float tile;\nattribute float ao;\nattribute vec2 light;\nvarying float vTile;\nvarying float vAo;\nvarying vec2 vLight;')
+      .replace('#include <uv_vertex>', '#include <uv_vertex>\nvTile = tile;\nvAo = ao;\nvLight = light;');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nuniform float atlasEdge;\nuniform float blockLightStrength;\nvarying float vTile;\nvarying float vAo;\nvarying vec2 vLight;')
+      .replace('#include <map_fragment>', `
+        #ifdef USE_MAP
+          float atlasTile = floor(vTile + 0.5);
+          vec2 atlasCell = vec2(mod(atlasTile, ${ATLAS_COLUMNS}.0), floor(atlasTile / ${ATLAS_COLUMNS}.0));
+          vec2 tileUv = clamp(fract(vMapUv), atlasEdge, 1.0 - atlasEdge);
+          vec2 atlasUv = vec2(atlasCell.x + tileUv.x, ${ATLAS_COLUMNS}.0 - atlasCell.y - 1.0 + tileUv.y) / ${ATLAS_COLUMNS}.0;
+          diffuseColor *= texture2D(map, atlasUv);
+        #endif
+        diffuseColor.rgb *= vAo;
+        vec3 voxelAlbedo = diffuseColor.rgb;
+        diffuseColor.rgb *= pow(0.8, (1.0 - vLight.x) * 15.0);
+      `)
+      .replace('#include <emissivemap_fragment>', `
+        #include <emissivemap_fragment>
+        totalEmissiveRadiance += voxelAlbedo * vec3(1.0, 0.82, 0.55) * pow(0.8, (1.0 - vLight.y) * 15.0) * blockLightStrength;
+      `);
+  };
+  return material;
+}
+
+const materials = Object.fromEntries(RENDERED_BLOCK_TYPES.map((type) => {
+  const block = getBlock(type);
+  return [type, applyChunkShader(new THREE.MeshStandardMaterial({
+    color: block.color,
+    roughness: block.roughness,
+    transparent: block.opacity < 1,
+    opacity: block.opacity,
+    depthWrite: block.opacity >= 1,
+    alphaTest: block.shape === 'cross' ? 0.5 : 0,
+    side: block.shape === 'cross' ? THREE.FrontSide : THREE.DoubleSide,
+  }))];
+}));
+
 let worldActive = false;
 let currentWorld = null;
+let worldGen = createWorldGenerator(1);
 let timeSpeed = 1;
 let dayPhase = 0.18;
+let simTime = 0;
+let simAccumulator = 0;
+let simPaused = false;
+let simEffectiveSpeed = 1;
 let mapOpen = false;
 let mapContextPoint = null;
-let mapStaticLayerMini = null;
-let mapStaticLayerFull = null;
+let mapStaticLayer = null;
+let mapStructures = [];
+let mapRegion = { minX: 0, minZ: 0, span: DEFAULT_WORLD_SIZE };
+let lastStructureDiscoveryAt = 0;
+let newWorldGeneration = { ...DEFAULT_WORLD_GEN_PROFILE };
+let randomNewWorldSeed = createRandomSeed();
+let worldPreviewTimer = 0;
 let lastMiniMapDrawAt = 0;
-let activeWorldGenProfile = DEFAULT_WORLD_GEN_PROFILE;
 
 const tmpLookDirection = new THREE.Vector3();
 
 const SKIN_ATLAS_SIZE = 64;
+const ATLAS_CLEAR_PIXEL = 'rgba(0, 0, 0, 0)';
 const defaultSkinDataUrl = createDefaultMinecraftSkinDataUrl();
+const defaultBlockAtlasDataUrl = createDefaultBlockAtlasDataUrl();
+let blockAtlasTexture = null;
 let showHitbox = false;
 
 const MINI_MAP_FPS = 18;
+const WORLD_PREVIEW_SAMPLES = 128;
+const WORLD_PREVIEW_DELAY = 150;
 
 const PIN_CLICK_RADIUS_WORLD = 10;
+const STRUCTURE_DISCOVERY_RADIUS = 32;
+const STRUCTURE_DISCOVERY_INTERVAL = 1000;
+const INSPECTOR_FPS = 4;
+const ANIMAL_INSPECT_REACH = 96;
+const LINEAGE_RECORD_LIMIT = 4000;
+
+const SIM_STEP = 0.05;
+const SIM_FRAME_BUDGET_MS = 12;
+const SIM_MAX_FRAME_DT = 0.25;
+const SIM_MAX_BACKLOG_STEPS = 20;
+const DAY_CYCLE_SPEED = 0.03;
+
+const STATS_SAMPLE_INTERVAL = 5;
+const STATS_SAMPLE_LIMIT = 2000;
+const STATS_CHART_WIDTH = 300;
+const STATS_CHART_HEIGHT = 110;
+const STATS_CHARTS = Object.freeze([
+  { key: 'population', label: 'Population', zeroBased: true },
+  { key: 'events', label: 'Births & deaths per sample', zeroBased: true },
+  { key: 'weight', label: 'Mean weight' },
+  { key: 'traits', label: 'Mean radius & speed factor' },
+  { key: 'diversity', label: 'Genome diversity', zeroBased: true },
+]);
+const STATS_SERIES = Object.freeze([
+  { key: 'grazers', label: 'Grazers', color: '#b9d981', chart: 'population' },
+  { key: 'hunters', label: 'Hunters', color: '#d4765f', chart: 'population' },
+  { key: 'births', label: 'Births', color: '#93e8a3', chart: 'events' },
+  { key: 'starvation', label: 'Starved', color: '#f1b34b', chart: 'events' },
+  { key: 'dehydration', label: 'Thirst', color: '#53b5ff', chart: 'events' },
+  { key: 'predation', label: 'Eaten', color: '#ff7a6b', chart: 'events' },
+  { key: 'oldAge', label: 'Old age', color: '#b8a8e8', chart: 'events' },
+  { key: 'meanWeight', label: 'Weight', color: '#f2c46b', chart: 'weight' },
+  { key: 'meanRadius', label: 'Radius', color: '#67a6ff', chart: 'traits' },
+  { key: 'meanSpeedFactor', label: 'Speed factor', color: '#93e8a3', chart: 'traits' },
+  { key: 'genomeDiversity', label: 'Gene std. dev.', color: '#e39a55', chart: 'diversity' },
+]);
 
 const MAX_NATURAL_ANIMALS = 48;
+const MAX_ANIMALS = 6000;
+const ANIMAL_HERD_SIZE = 500;
 const NATURAL_SPAWN_INTERVAL = 8;
+const ENDLESS_SPAWN_RADIUS = DEFAULT_VIEW_DISTANCE * CHUNK_SIZE;
+const WORLD_SPAWN_POINT = Object.freeze({ x: 12, y: 30, z: 12 });
+const ANIMAL_GRID_CELL = 8;
+const ANIMAL_INSTANCE_CAPACITY = 256;
+const ANIMAL_BAR_DISTANCE = 24;
+const ANIMAL_BAR_LIMIT = 24;
+const ANIMAL_VOXEL_CACHE_LIMIT = 60000;
+const NEAREST_WATER_CACHE_LIMIT = 4096;
+const ANIMAL_VOXEL_CACHE_RANGE = 16384;
+const ANIMAL_TARGET_REFRESH = 0.25;
 const ANIMAL_MUTATION_FACTOR = 0.18;
+const ANIMAL_MAX_AGE = 500;
+const HUNGER_DAMAGE_LEVEL = 1.6;
+const THIRST_DAMAGE_LEVEL = 1.4;
+const ANIMAL_SENSE_RADIUS = 32;
+const ANIMAL_TURN_RATE = 2;
+const FOOD_SEARCH_COOLDOWN = 1.5;
+const WATER_SEARCH_STEP = 2;
+const WATER_SEARCH_COOLDOWN = 4;
+const DRINK_RATE = 1.4;
 const ANIMAL_TYPES = Object.freeze({
   grazer: {
     name: 'Grazer',
@@ -167,20 +354,51 @@ const ANIMAL_TYPES = Object.freeze({
     prey: 'grazer',
   },
 });
-
-const terrainHeightCache = new Int16Array(WORLD_SIZE * WORLD_SIZE).fill(-1);
-const waterHeightCache = new Int16Array(WORLD_SIZE * WORLD_SIZE).fill(-1);
-const sandRadiusCache = new Int8Array(WORLD_SIZE * WORLD_SIZE).fill(-1);
-const biomeCache = new Int8Array(WORLD_SIZE * WORLD_SIZE).fill(-1);
-const treeCenterCache = new Map();
+const PREDATOR_TYPES = Object.freeze(Object.fromEntries(Object.keys(ANIMAL_TYPES).map((type) => [
+  type,
+  Object.keys(ANIMAL_TYPES).filter((other) => ANIMAL_TYPES[other].prey === type),
+])));
+const ANIMAL_INSTANCE_COLORS = new Map(Object.entries(ANIMAL_TYPES).map(([type, profile]) => [
+  type,
+  { base: new THREE.Color(profile.color), highlight: new THREE.Color(profile.color).lerp(new THREE.Color('#ffffff'), 0.5) },
+]));
 
 const animalGroup = new THREE.Group();
 world.add(animalGroup);
 
 const animals = [];
-const animalMeshes = new Map();
+const animalsById = new Map();
+const animalGrids = new Map();
+const animalInstances = new Map();
+const animalBarPool = [];
+const animalGeometry = new THREE.SphereGeometry(1, 10, 10);
+const tmpAnimalMatrix = new THREE.Matrix4();
+const nearestWaterCache = new Map();
+const animalVoxelCache = new Map();
 let animalIdCounter = 1;
 let naturalSpawnTimer = 0;
+let simRandom = createSeededRandom(1);
+let deathCounts = createDeathCounts();
+const lineageRecords = new Map();
+const animalRaycaster = new THREE.Raycaster();
+const tmpPointer = new THREE.Vector2();
+let inspectedAnimalId = null;
+let inspectorLineageKey = '';
+let lastInspectorDrawAt = 0;
+let statsSamples = [];
+let statsCounters = createStatsCounters();
+let statsSampleTimer = 0;
+let statsDirty = false;
+let lastEcosystemSaveAt = 0;
+let lastEcosystemSavedSimTime = null;
+let lastEcosystemSaveBytes = 0;
+let ecosystemStorageFree = Infinity;
+let ecosystemDb = null;
+let ecosystemDbRequest = null;
+const pendingWorldEdits = new Map();
+let worldEditSaveTimer = 0;
+const saveStatusMessages = { world: '', ecosystem: '' };
+const statsChartContexts = new Map();
 
 function createDefaultMinecraftSkinDataUrl() {
   const skinCanvas = document.createElement('canvas');
@@ -222,9 +440,112 @@ function createDefaultMinecraftSkinDataUrl() {
   return skinCanvas.toDataURL('image/png');
 }
 
+function shadeHex(hex, factor) {
+  const value = Number.parseInt(hex.slice(1), 16);
+  const channel = (shift) => Math.round(THREE.MathUtils.clamp(((value >> shift) & 255) * factor, 0, 255));
+  return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+}
+
+function atlasTilePixel(tile, x, y, random) {
+  const size = ATLAS_TILE_SIZE;
+  const grain = 0.88 + random() * 0.2;
+  switch (tile.pattern) {
+    case 'blades':
+      return shadeHex(tile.color, random() < 0.12 ? 0.78 : grain + 0.04);
+    case 'overhang': {
+      const drip = 3 + Math.floor(Math.abs(Math.sin(x * 1.7)) * 3);
+      return y < drip ? shadeHex(tile.accent, grain) : shadeHex(tile.color, grain);
+    }
+    case 'bark':
+      return shadeHex(tile.color, (x % 4 === 0 ? 0.72 : 1) * grain);
+    case 'rings': {
+      const ring = Math.max(Math.abs(x - size / 2 + 0.5), Math.abs(y - size / 2 + 0.5));
+      if (ring > size / 2 - 1.5) return shadeHex(tile.accent, grain);
+      return shadeHex(Math.floor(ring) % 3 === 0 ? tile.accent : tile.color, grain);
+    }
+    case 'leaves':
+      return shadeHex(tile.color, random() < 0.18 ? 0.62 : grain);
+    case 'waves': {
+      const crest = (y + Math.round(Math.sin((x / size) * Math.PI * 2) * 1.5) + size) % 5 === 0;
+      return shadeHex(tile.color, crest ? 1.22 : 0.96 + random() * 0.06);
+    }
+    case 'glow':
+      return random() < 0.3 ? shadeHex(tile.accent, grain) : shadeHex(tile.color, grain + 0.08);
+    case 'fruit': {
+      if (y < 3 && Math.abs(x - size / 2) < 2) return shadeHex(tile.accent, grain);
+      const highlight = Math.hypot(x - size * 0.32, y - size * 0.32) < 2;
+      return shadeHex(tile.color, highlight ? 1.45 : grain);
+    }
+    case 'ore': {
+      const isVein = Math.sin(x * 1.9 + 0.4) * Math.sin(y * 1.7 + 1.2) > 0.55;
+      return isVein ? shadeHex(tile.accent, grain) : shadeHex(tile.color, grain);
+    }
+    case 'crystal': {
+      const facet = (x + y) % 6;
+      if (facet === 0) return shadeHex(tile.color, 1.35);
+      return shadeHex(facet < 3 ? tile.accent : tile.color, grain);
+    }
+    case 'planks': {
+      const isSeam = y % 4 === 3 || x === ((y >> 2) * 5) % size;
+      return shadeHex(tile.color, (isSeam ? 0.72 : 1) * grain);
+    }
+    case 'cobble': {
+      const isMortar = y % 4 === 0 || (x + (y >> 2) * 2) % 5 === 0;
+      return shadeHex(isMortar ? tile.accent : tile.color, grain);
+    }
+    case 'strata':
+      return shadeHex(y % 5 < 1 ? tile.accent : tile.color, grain);
+    case 'birch':
+      return y % 5 === 0 && random() < 0.55 ? shadeHex(tile.accent, grain) : shadeHex(tile.color, grain);
+    case 'ribs':
+      return shadeHex(x % 4 === 1 ? tile.accent : tile.color, grain);
+    case 'tuft': {
+      const bladeHeight = 5 + Math.floor(Math.abs(Math.sin(x * 2.3 + 1)) * 10);
+      if (x % 3 === 2 || y < size - bladeHeight) return ATLAS_CLEAR_PIXEL;
+      return shadeHex(tile.color, grain * (0.8 + (y / size) * 0.3));
+    }
+    case 'twigs': {
+      const rise = size - 1 - y;
+      const spread = Math.abs(x - size / 2 + 0.5);
+      const isStem = rise < 6 && spread < 1;
+      const isBranch = rise < 13 && (Math.abs(spread - rise * 0.55) < 0.7 || (rise > 5 && Math.abs(spread - (rise - 5) * 1.2) < 0.7));
+      return isStem || isBranch ? shadeHex(tile.color, grain) : ATLAS_CLEAR_PIXEL;
+    }
+    case 'flower': {
+      const bloom = Math.hypot(x - size / 2 + 0.5, y - 5);
+      if (bloom < 1.3) return shadeHex(tile.color, 0.62);
+      if (bloom < 3.4) return shadeHex(tile.color, grain);
+      const isStem = y > 7 && Math.abs(x - size / 2 + 0.5) < 1;
+      const isLeaf = (y === 11 || y === 12) && Math.abs(x - size / 2 + 0.5) < 3.5 - (y - 11) * 1.5;
+      return isStem || isLeaf ? shadeHex(tile.accent, grain) : ATLAS_CLEAR_PIXEL;
+    }
+    default:
+      return shadeHex(tile.color, grain);
+  }
+}
 
+function createDefaultBlockAtlasDataUrl() {
+  const atlasCanvas = document.createElement('canvas');
+  atlasCanvas.width = ATLAS_COLUMNS * ATLAS_TILE_SIZE;
+  atlasCanvas.height = ATLAS_COLUMNS * ATLAS_TILE_SIZE;
+  const ctx = atlasCanvas.getContext('2d');
+  if (!ctx) return '';
 
+  ctx.clearRect(0, 0, atlasCanvas.width, atlasCanvas.height);
+  ATLAS_TILES.forEach((tile, index) => {
+    const random = createSeededRandom(hashStringToSeed(tile.name));
+    const originX = (index % ATLAS_COLUMNS) * ATLAS_TILE_SIZE;
+    const originY = Math.floor(index / ATLAS_COLUMNS) * ATLAS_TILE_SIZE;
+    for (let y = 0; y < ATLAS_TILE_SIZE; y += 1) {
+      for (let x = 0; x < ATLAS_TILE_SIZE; x += 1) {
+        ctx.fillStyle = atlasTilePixel(tile, x, y, random);
+        ctx.fillRect(originX + x, originY + y, 1, 1);
+      }
+    }
+  });
 
+  return atlasCanvas.toDataURL('image/png');
+}
 
 function loadWorldSaves() {
   try {
@@ -235,7 +556,14 @@ function loadWorldSaves() {
 }
 
 function saveWorldSaves(worlds) {
-  localStorage.setItem(WORLD_SAVE_KEY, JSON.stringify(worlds));
+  try {
+    localStorage.setItem(WORLD_SAVE_KEY, JSON.stringify(worlds));
+    setWorldSaveStatus(null);
+    return true;
+  } catch (error) {
+    setWorldSaveStatus(error);
+    return false;
+  }
 }
 
 function ensureWorldPins(worldData) {
@@ -249,431 +577,251 @@ function updateCurrentWorld(mutator) {
   const idx = worlds.findIndex((w) => w.id === currentWorld.id);
   if (idx < 0) return;
   ensureWorldPins(worlds[idx]);
+  applyPendingWorldEdits(worlds[idx]);
   mutator(worlds[idx]);
-  saveWorldSaves(worlds);
+  if (saveWorldSaves(worlds)) pendingWorldEdits.clear();
   currentWorld = worlds[idx];
 }
 
-function deleteWorldById(worldId) {
-  const worlds = loadWorldSaves().filter((w) => w.id !== worldId);
-  saveWorldSaves(worlds);
-}
-
-function loadOptions() {
-  try {
-    return { startFlyMode: false, ...JSON.parse(localStorage.getItem(WORLD_OPTION_KEY) || '{}') };
-  } catch {
-    return { startFlyMode: false };
+function applyPendingWorldEdits(worldData) {
+  if (!pendingWorldEdits.size) return;
+  if (!worldData.edits) worldData.edits = {};
+  for (const [key, entries] of pendingWorldEdits) {
+    if (Object.keys(entries).length) {
+      worldData.edits[key] = entries;
+    } else {
+      delete worldData.edits[key];
+    }
   }
 }
 
-function saveOptions(options) {
-  localStorage.setItem(WORLD_OPTION_KEY, JSON.stringify(options));
+function flushWorldEdits() {
+  clearTimeout(worldEditSaveTimer);
+  worldEditSaveTimer = 0;
+  if (pendingWorldEdits.size) updateCurrentWorld(() => {});
 }
 
-const options = loadOptions();
-optionStartFly.checked = !!options.startFlyMode;
-refreshPlayerSkin();
-
-function hashStringToSeed(value) {
-  let h = 2166136261;
-  for (let i = 0; i < value.length; i += 1) {
-    h ^= value.charCodeAt(i);
-    h = Math.imul(h, 16777619);
+function deleteWorldById(worldId) {
+  const worlds = loadWorldSaves().filter((w) => w.id !== worldId);
+  saveWorldSaves(worlds);
+  localStorage.removeItem(ecosystemSaveKey(worldId));
+  openEcosystemDb()
+    .then((db) => db.transaction(ECOSYSTEM_DB_STORE, 'readwrite').objectStore(ECOSYSTEM_DB_STORE).delete(worldId))
+    .catch(() => {});
+}
+
+function ecosystemSaveKey(worldId) {
+  return `${ECOSYSTEM_SAVE_KEY}:${worldId}`;
+}
+
+function openEcosystemDb() {
+  if (!ecosystemDbRequest) {
+    ecosystemDbRequest = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ECOSYSTEM_DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(ECOSYSTEM_DB_STORE);
+      request.onsuccess = () => {
+        ecosystemDb = request.result;
+        resolve(ecosystemDb);
+      };
+      request.onerror = () => reject(request.error);
+    });
   }
-  return Math.abs(h) || 1;
+  return ecosystemDbRequest;
 }
 
-function setWorldSeed(seed) {
-  worldSeed = seed;
-  seedOffsetA = (seed % 997) * 0.1337;
-  seedOffsetB = (seed % 577) * 0.2811;
+function loadLegacyEcosystem(worldId) {
+  return JSON.parse(localStorage.getItem(ecosystemSaveKey(worldId)) || 'null');
 }
 
-function resetWorldCaches() {
-  terrainHeightCache.fill(-1);
-  waterHeightCache.fill(-1);
-  sandRadiusCache.fill(-1);
-  biomeCache.fill(-1);
-  treeCenterCache.clear();
+async function loadEcosystem(worldId) {
+  try {
+    const db = await openEcosystemDb();
+    const ecosystem = await new Promise((resolve, reject) => {
+      const request = db.transaction(ECOSYSTEM_DB_STORE).objectStore(ECOSYSTEM_DB_STORE).get(worldId);
+      request.onsuccess = () => resolve(request.result ?? loadLegacyEcosystem(worldId));
+      request.onerror = () => reject(request.error);
+    });
+    return Array.isArray(ecosystem?.animals) ? ecosystem : null;
+  } catch {
+    return null;
+  }
 }
 
-function getWorldGenProfile(worldData) {
-  return {
-    ...DEFAULT_WORLD_GEN_PROFILE,
-    ...(worldData?.generation || {}),
-  };
+function refreshEcosystemStorageFree() {
+  navigator.storage?.estimate?.()
+    .then(({ quota, usage }) => {
+      ecosystemStorageFree = quota - usage;
+    })
+    .catch(() => {});
 }
 
-function worldColumnIndex(x, z) {
-  return x + z * WORLD_SIZE;
+function estimateEcosystemBytes(ecosystem) {
+  const records = (ecosystem.lineage?.length ?? 0) + (ecosystem.stats?.samples?.length ?? 0);
+  return ecosystem.animals.length * ECOSYSTEM_ANIMAL_BYTES + records * ECOSYSTEM_RECORD_BYTES;
 }
 
-function fract(v) {
-  return v - Math.floor(v);
+function formatMegabytes(bytes) {
+  return `${Math.max(0, bytes / 1048576).toFixed(1)} MB`;
 }
 
-function hash2(x, z) {
-  return fract(Math.sin((x + seedOffsetA) * 127.1 + (z + seedOffsetB) * 311.7 + worldSeed * 0.013) * 43758.5453123);
+function loadOptions() {
+  try {
+    return {
+      startFlyMode: false,
+      viewDistance: DEFAULT_VIEW_DISTANCE,
+      autoPinStructures: true,
+      ...JSON.parse(localStorage.getItem(WORLD_OPTION_KEY) || '{}'),
+    };
+  } catch {
+    return { startFlyMode: false, viewDistance: DEFAULT_VIEW_DISTANCE, autoPinStructures: true };
+  }
 }
 
-function smoothNoise(x, z) {
-  const x0 = Math.floor(x);
-  const z0 = Math.floor(z);
-  const tx = x - x0;
-  const tz = z - z0;
-  const a = hash2(x0, z0);
-  const b = hash2(x0 + 1, z0);
-  const c = hash2(x0, z0 + 1);
-  const d = hash2(x0 + 1, z0 + 1);
-  const sx = tx * tx * (3 - 2 * tx);
-  const sz = tz * tz * (3 - 2 * tz);
-  const nx0 = a + (b - a) * sx;
-  const nx1 = c + (d - c) * sx;
-  return nx0 + (nx1 - nx0) * sz;
+function saveOptions(options) {
+  localStorage.setItem(WORLD_OPTION_KEY, JSON.stringify(options));
 }
 
-function getTerrainHeightCached(x, z) {
-  const clampedX = THREE.MathUtils.clamp(x, 0, WORLD_SIZE - 1);
-  const clampedZ = THREE.MathUtils.clamp(z, 0, WORLD_SIZE - 1);
-  const cacheIndex = worldColumnIndex(clampedX, clampedZ);
-  const cached = terrainHeightCache[cacheIndex];
-  if (cached >= 0) return cached;
-
-  const broad = smoothNoise(clampedX * 0.05, clampedZ * 0.05) * 10;
-  const rolling = smoothNoise(clampedX * 0.12 + 42, clampedZ * 0.12 + 12) * 6;
-  const detail = smoothNoise(clampedX * 0.23 + 90, clampedZ * 0.23 + 37) * 2;
-  const mountainMask = Math.max(0, smoothNoise(clampedX * 0.013 + 140, clampedZ * 0.013 + 70) - 0.56) / 0.44;
-  const mountainRidge = smoothNoise(clampedX * 0.028 + 220, clampedZ * 0.028 + 160);
-  const mountainHeight = mountainMask * (0.55 + mountainRidge) * 28;
-  const height = Math.max(2, Math.min(MAX_HEIGHT, Math.round(2 + broad + rolling + detail + mountainHeight)));
-  terrainHeightCache[cacheIndex] = height;
-  return height;
+const options = loadOptions();
+optionStartFly.checked = !!options.startFlyMode;
+optionAutoPinStructures.checked = !!options.autoPinStructures;
+optionViewDistance.min = String(MIN_VIEW_DISTANCE);
+optionViewDistance.max = String(MAX_VIEW_DISTANCE);
+refreshPlayerSkin();
+refreshBlockAtlas();
+
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => state;
+  return random;
 }
 
-function terrainHeight(x, z) {
-  return getTerrainHeightCached(x, z);
+function randomSigned() {
+  return simRandom() * 2 - 1;
 }
 
-function getWaterHeightCached(x, z) {
-  const clampedX = THREE.MathUtils.clamp(x, 0, WORLD_SIZE - 1);
-  const clampedZ = THREE.MathUtils.clamp(z, 0, WORLD_SIZE - 1);
-  const cacheIndex = worldColumnIndex(clampedX, clampedZ);
-  const cached = waterHeightCache[cacheIndex];
-  if (cached >= 0) return cached - 1;
-
-  const h = terrainHeight(clampedX, clampedZ);
-  const continental = smoothNoise(clampedX * 0.016 + 80, clampedZ * 0.016 + 11);
-  const deepOceanSignal = smoothNoise(clampedX * 0.01 + 25, clampedZ * 0.01 + 91);
-  const craterSignal = smoothNoise(clampedX * 0.07 + 44, clampedZ * 0.07 + 59);
-
-  const neighbors = [
-    terrainHeight(Math.max(0, clampedX - 1), clampedZ),
-    terrainHeight(Math.min(WORLD_SIZE - 1, clampedX + 1), clampedZ),
-    terrainHeight(clampedX, Math.max(0, clampedZ - 1)),
-    terrainHeight(clampedX, Math.min(WORLD_SIZE - 1, clampedZ + 1)),
-  ];
-  const avgNeighborHeight = neighbors.reduce((sum, value) => sum + value, 0) / neighbors.length;
-  const basinDepth = avgNeighborHeight - h;
-
-  let computedWaterHeight = -1;
-  const oceanBlend = deepOceanSignal * 0.65 + continental * 0.35;
-  if (oceanBlend < 0.44 && h <= activeWorldGenProfile.oceanLevel + 3) {
-    computedWaterHeight = Math.max(h, activeWorldGenProfile.oceanLevel + Math.round((0.44 - oceanBlend) * 4));
-  }
-
-  const maxCraterWaterHeight = activeWorldGenProfile.oceanLevel + 4;
-  if (h <= maxCraterWaterHeight && basinDepth > 0.9 && craterSignal < 0.3) {
-    const craterDepth = Math.round((0.3 - craterSignal) * 8);
-    computedWaterHeight = Math.max(computedWaterHeight, Math.max(h, Math.min(maxCraterWaterHeight, h + Math.min(3, Math.max(1, craterDepth)))));
-  }
-
-  const encodedHeight = computedWaterHeight < 0 ? 0 : computedWaterHeight + 1;
-  waterHeightCache[cacheIndex] = encodedHeight;
-  return computedWaterHeight;
+function createDeathCounts() {
+  return { starvation: 0, dehydration: 0, predation: 0, oldAge: 0 };
 }
 
-function waterHeight(x, z) {
-  return getWaterHeightCached(x, z);
+function createStatsCounters() {
+  return { births: 0, ...createDeathCounts() };
 }
 
-function hasWaterAt(x, z) {
-  return waterHeight(x, z) >= terrainHeight(x, z);
+function createRandomSeed() {
+  return 1 + Math.floor(Math.random() * 2147483646);
 }
 
-function hasWaterInRadiusCached(x, z, radius) {
-  const clampedX = THREE.MathUtils.clamp(x, 0, WORLD_SIZE - 1);
-  const clampedZ = THREE.MathUtils.clamp(z, 0, WORLD_SIZE - 1);
-  const cacheIndex = worldColumnIndex(clampedX, clampedZ);
-  const cached = sandRadiusCache[cacheIndex];
-  if (cached >= 0) return cached === 1;
-
-  for (let dz = -radius; dz <= radius; dz += 1) {
-    const nz = clampedZ + dz;
-    if (nz < 0 || nz >= WORLD_SIZE) continue;
-    for (let dx = -radius; dx <= radius; dx += 1) {
-      const nx = clampedX + dx;
-      if (nx < 0 || nx >= WORLD_SIZE) continue;
-      if (Math.abs(dx) + Math.abs(dz) > radius) continue;
-      if (hasWaterAt(nx, nz)) {
-        sandRadiusCache[cacheIndex] = 1;
-        return true;
-      }
-    }
+function hashStringToSeed(value) {
+  let h = 2166136261;
+  for (let i = 0; i < value.length; i += 1) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 16777619);
   }
-
-  sandRadiusCache[cacheIndex] = 0;
-  return false;
+  return Math.abs(h) || 1;
 }
 
-function getBiomeCached(x, z) {
-  const clampedX = THREE.MathUtils.clamp(x, 0, WORLD_SIZE - 1);
-  const clampedZ = THREE.MathUtils.clamp(z, 0, WORLD_SIZE - 1);
-  const cacheIndex = worldColumnIndex(clampedX, clampedZ);
-  const cached = biomeCache[cacheIndex];
-  if (cached >= 0) return cached;
-
-  const temperature = smoothNoise(clampedX * 0.013 + 123, clampedZ * 0.013 + 48);
-  const humidity = smoothNoise(clampedX * 0.017 + 11, clampedZ * 0.017 + 189);
-
-  let biome = BIOME_PLAINS;
-  if (temperature < 0.3) {
-    biome = BIOME_SNOW;
-  } else if (temperature > 0.64 && humidity < 0.42) {
-    biome = BIOME_DESERT;
-  }
-
-  biomeCache[cacheIndex] = biome;
-  return biome;
+function recordBuildFailure(failures, key, message) {
+  const attempts = (failures.get(key)?.attempts ?? 0) + 1;
+  const delay = Math.min(BUILD_RETRY_MAX_DELAY, BUILD_RETRY_DELAY * 2 ** (attempts - 1));
+  failures.set(key, { attempts, message, retryAt: performance.now() + delay });
 }
 
-function biomeAt(x, z) {
-  return getBiomeCached(x, z);
+function isBuildBackingOff(failures, key) {
+  const failure = failures.get(key);
+  return !!failure && failure.retryAt > performance.now();
 }
 
-
-function isTreeCenter(wx, wz) {
-  if (wx <= 2 || wz <= 2 || wx >= WORLD_SIZE - 3 || wz >= WORLD_SIZE - 3) return false;
-  if (wx % activeWorldGenProfile.treeSpacing !== 0 || wz % activeWorldGenProfile.treeSpacing !== 0) return false;
-
-  const cacheKey = `${wx},${wz}`;
-  if (treeCenterCache.has(cacheKey)) return treeCenterCache.get(cacheKey);
-
-  const centerHeight = terrainHeight(wx, wz);
-  const biome = biomeAt(wx, wz);
-  if (centerHeight <= activeWorldGenProfile.oceanLevel + 1 || hasWaterAt(wx, wz)) {
-    treeCenterCache.set(cacheKey, false);
-    return false;
-  }
-  if (biome === BIOME_DESERT) {
-    treeCenterCache.set(cacheKey, false);
-    return false;
+class ChunkManager {
+  constructor(root) {
+    this.root = root;
+    this.chunks = new Map();
+    this.frustum = new THREE.Frustum();
+    this.projectionView = new THREE.Matrix4();
+    this.pendingBuildQueue = [];
+    this.pendingBuildSet = new Set();
+    this.inFlight = new Map();
+    this.failedBuilds = new Map();
+    this.chunkVersions = new Map();
+    this.viewDistance = DEFAULT_VIEW_DISTANCE;
+    this.centerChunkX = 0;
+    this.centerChunkZ = 0;
+    this.generation = 0;
+    this.nextJobId = 1;
+    this.stats = { triangles: 0, naiveTriangles: 0 };
+    this.configuration = null;
+    this.workerCrashes = 0;
+    this.workers = Array.from({ length: CHUNK_WORKER_COUNT }, () => {
+      const entry = { worker: null, jobs: 0, jobKeys: new Map(), crashes: 0, stopped: false };
+      this.startWorker(entry);
+      return entry;
+    });
   }
 
-  const north = terrainHeight(wx, wz - 1);
-  const south = terrainHeight(wx, wz + 1);
-  const east = terrainHeight(wx + 1, wz);
-  const west = terrainHeight(wx - 1, wz);
-  const isSteep = Math.max(
-    Math.abs(centerHeight - north),
-    Math.abs(centerHeight - south),
-    Math.abs(centerHeight - east),
-    Math.abs(centerHeight - west),
-  ) > 2;
-  if (isSteep) {
-    treeCenterCache.set(cacheKey, false);
-    return false;
+  startWorker(entry) {
+    entry.worker = new Worker(new URL('./chunk-worker.js', import.meta.url), { type: 'module' });
+    entry.worker.addEventListener('message', (event) => this.handleWorkerMessage(entry, event.data));
+    entry.worker.addEventListener('error', () => this.handleWorkerError(entry));
+    entry.jobs = 0;
+    if (this.configuration) entry.worker.postMessage({ type: 'configure', ...this.configuration });
   }
 
-  const treeDensityThreshold = biome === BIOME_SNOW ? 0.9 : activeWorldGenProfile.treeDensityThreshold;
-  const result = hash2(wx * 0.73 + 5.7, wz * 0.73 + 17.1) > treeDensityThreshold;
-  treeCenterCache.set(cacheKey, result);
-  return result;
-}
-
-function treeBlockAt(wx, y, wz) {
-  const minTreeX = Math.floor((wx - activeWorldGenProfile.treeCanopyRadius) / activeWorldGenProfile.treeSpacing) * activeWorldGenProfile.treeSpacing;
-  const maxTreeX = Math.ceil((wx + activeWorldGenProfile.treeCanopyRadius) / activeWorldGenProfile.treeSpacing) * activeWorldGenProfile.treeSpacing;
-  const minTreeZ = Math.floor((wz - activeWorldGenProfile.treeCanopyRadius) / activeWorldGenProfile.treeSpacing) * activeWorldGenProfile.treeSpacing;
-  const maxTreeZ = Math.ceil((wz + activeWorldGenProfile.treeCanopyRadius) / activeWorldGenProfile.treeSpacing) * activeWorldGenProfile.treeSpacing;
-
-  for (let tx = minTreeX; tx <= maxTreeX; tx += activeWorldGenProfile.treeSpacing) {
-    for (let tz = minTreeZ; tz <= maxTreeZ; tz += activeWorldGenProfile.treeSpacing) {
-      if (!isTreeCenter(tx, tz)) continue;
-
-      const trunkBaseY = terrainHeight(tx, tz) + 1;
-      const trunkHeight = 4 + Math.floor(hash2(tx + 91.7, tz + 17.3) * 2);
-      const trunkTopY = trunkBaseY + trunkHeight - 1;
-
-      if (wx === tx && wz === tz && y >= trunkBaseY && y <= trunkTopY) return BLOCK_WOOD;
-      if (wx === tx && wz === tz && y === trunkTopY + 1) return BLOCK_LEAF;
-
-      const dx = Math.abs(wx - tx);
-      const dz = Math.abs(wz - tz);
-      const leafBottom = trunkTopY - 1;
-      const leafTop = trunkTopY;
-      const isInLeafLayer = y >= leafBottom && y <= leafTop;
-      const isInCanopy = dx <= activeWorldGenProfile.treeCanopyRadius && dz <= activeWorldGenProfile.treeCanopyRadius && dx + dz <= activeWorldGenProfile.treeCanopyRadius + 1;
-      const isTrunkCore = dx === 0 && dz === 0 && y <= trunkTopY;
-      const isApplePoint = y === leafBottom && (dx + dz === activeWorldGenProfile.treeCanopyRadius + 1 || (dx === activeWorldGenProfile.treeCanopyRadius && dz === activeWorldGenProfile.treeCanopyRadius));
-      if (isApplePoint) {
-        const hasApple = hash2(wx * 0.69 + y * 0.21 + 13.5, wz * 0.94 + y * 0.53 + 44.1) < activeWorldGenProfile.treeAppleChance;
-        if (hasApple) return BLOCK_APPLE;
-      }
-
-      const hasLeaf = hash2(wx * 1.91 + y * 0.47 + 31.7, wz * 1.37 + y * 0.73 + 19.3) < activeWorldGenProfile.treeLeafChance;
-      if (isInLeafLayer && isInCanopy && !isTrunkCore && hasLeaf) return BLOCK_LEAF;
+  handleWorkerError(entry) {
+    entry.worker.terminate();
+    entry.crashes += 1;
+    this.workerCrashes += 1;
+    for (const [key, { cx, cz }] of entry.jobKeys) {
+      this.inFlight.delete(key);
+      if (this.pendingBuildSet.has(key)) continue;
+      this.pendingBuildQueue.push({ cx, cz, key, distance: this.chunks.has(key) ? -1 : this.chunkDistance(cx, cz) });
+      this.pendingBuildSet.add(key);
     }
+    entry.jobKeys.clear();
+    if (entry.crashes < WORKER_RESTART_LIMIT) this.startWorker(entry);
+    else entry.stopped = true;
   }
 
-  return BLOCK_AIR;
-}
-
-function getVoxelTypeAt(wx, y, wz) {
-  if (wx < 0 || wz < 0 || wx >= WORLD_SIZE || wz >= WORLD_SIZE || y < 0 || y > MAX_HEIGHT) return BLOCK_AIR;
-  const h = terrainHeight(wx, wz);
-  const waterSurface = waterHeight(wx, wz);
-
-  if (y > h && y <= waterSurface) return BLOCK_WATER;
-
-  const treeBlock = treeBlockAt(wx, y, wz);
-  if (treeBlock !== BLOCK_AIR && y > h) return treeBlock;
-
-  if (y > h) return BLOCK_AIR;
-
-  if (y > activeWorldGenProfile.caveMinY && y < h - 1) {
-    const caveNoiseA = smoothNoise(wx * activeWorldGenProfile.caveScale + y * 0.12 + 300, wz * activeWorldGenProfile.caveScale + y * 0.09 + 500);
-    const caveNoiseB = smoothNoise(wx * (activeWorldGenProfile.caveScale * 1.8) + y * 0.2 + 30, wz * (activeWorldGenProfile.caveScale * 1.8) + y * 0.16 + 90);
-    const caveDensity = caveNoiseA * 0.7 + caveNoiseB * 0.3;
-    if (caveDensity > activeWorldGenProfile.caveThreshold) return BLOCK_AIR;
+  key(cx, cz) {
+    return chunkKey(cx, cz);
   }
 
-  if (y <= 1) return BLOCK_STONE;
-
-  if (y === h) {
-    const biome = biomeAt(wx, wz);
-    if (biome === BIOME_SNOW || h >= activeWorldGenProfile.mountainHeightThreshold) return BLOCK_SNOW;
-    if (biome === BIOME_DESERT || hasWaterInRadiusCached(wx, wz, activeWorldGenProfile.sandWaterRadius)) return BLOCK_SAND;
-    return BLOCK_GRASS;
+  inWorld(cx, cz) {
+    return isChunkInWorld(worldGen, cx, cz);
   }
-  if (y >= h - 2) return BLOCK_DIRT;
-  return BLOCK_STONE;
-}
 
-function buildChunkVoxelData(cx, cz) {
-  const sizeY = MAX_HEIGHT + 1;
-  const voxels = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE * sizeY);
-  const minX = cx * CHUNK_SIZE;
-  const minZ = cz * CHUNK_SIZE;
-  const voxelIndex = (lx, y, lz) => lx + lz * CHUNK_SIZE + y * CHUNK_SIZE * CHUNK_SIZE;
-
-  for (let lz = 0; lz < CHUNK_SIZE; lz += 1) {
-    for (let lx = 0; lx < CHUNK_SIZE; lx += 1) {
-      const wx = minX + lx;
-      const wz = minZ + lz;
-      for (let y = 0; y <= MAX_HEIGHT; y += 1) {
-        voxels[voxelIndex(lx, y, lz)] = getVoxelTypeAt(wx, y, wz);
-      }
-    }
+  chunkDistance(cx, cz) {
+    return Math.max(Math.abs(cx - this.centerChunkX), Math.abs(cz - this.centerChunkZ));
   }
-  return voxels;
-}
 
-function pushQuad(positions, normals, indices, corners, normal) {
-  const base = positions.length / 3;
-  for (const corner of corners) {
-    positions.push(corner[0], corner[1], corner[2]);
-    normals.push(normal[0], normal[1], normal[2]);
+  setViewDistance(distance) {
+    this.viewDistance = THREE.MathUtils.clamp(Math.round(distance), MIN_VIEW_DISTANCE, MAX_VIEW_DISTANCE);
   }
-  indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
-}
-
-function buildMaterialGreedyGeometry(voxels, materialType, chunkOriginX, chunkOriginZ) {
-  const positions = [];
-  const normals = [];
-  const indices = [];
-
-  const index = (x, y, z) => x + z * CHUNK_SIZE + y * CHUNK_SIZE * CHUNK_SIZE;
-  const voxelAt = (x, y, z) => {
-    if (y < 0 || y > MAX_HEIGHT) return BLOCK_AIR;
-    if (x < 0 || z < 0 || x >= CHUNK_SIZE || z >= CHUNK_SIZE) {
-      const wx = chunkOriginX + x;
-      const wz = chunkOriginZ + z;
-      return getVoxelTypeAt(wx, y, wz);
-    }
-    return voxels[index(x, y, z)];
-  };
-
-  const isWaterAdjacent = (x, y, z) => {
-    const adjacent = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
-    for (const [dx, dy, dz] of adjacent) {
-      if (voxelAt(x + dx, y + dy, z + dz) === BLOCK_WATER) return true;
-    }
-    return false;
-  };
-
-  const faces = [
-    { normal: [1, 0, 0], corners: [[1, 0, 0], [1, 0, 1], [1, 1, 1], [1, 1, 0]], neighbor: [1, 0, 0] },
-    { normal: [-1, 0, 0], corners: [[0, 0, 0], [0, 1, 0], [0, 1, 1], [0, 0, 1]], neighbor: [-1, 0, 0] },
-    { normal: [0, 1, 0], corners: [[0, 1, 0], [1, 1, 0], [1, 1, 1], [0, 1, 1]], neighbor: [0, 1, 0] },
-    { normal: [0, -1, 0], corners: [[0, 0, 0], [0, 0, 1], [1, 0, 1], [1, 0, 0]], neighbor: [0, -1, 0] },
-    { normal: [0, 0, 1], corners: [[0, 0, 1], [0, 1, 1], [1, 1, 1], [1, 0, 1]], neighbor: [0, 0, 1] },
-    { normal: [0, 0, -1], corners: [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]], neighbor: [0, 0, -1] },
-  ];
 
-  for (let y = 0; y <= MAX_HEIGHT; y += 1) {
-    for (let z = 0; z < CHUNK_SIZE; z += 1) {
-      for (let x = 0; x < CHUNK_SIZE; x += 1) {
-        if (voxelAt(x, y, z) !== materialType) continue;
-        const shouldForceAllFaces = materialType !== BLOCK_WATER && isWaterAdjacent(x, y, z);
-
-        for (const face of faces) {
-          const nx = x + face.neighbor[0];
-          const ny = y + face.neighbor[1];
-          const nz = z + face.neighbor[2];
-          if (!shouldForceAllFaces && voxelAt(nx, ny, nz) !== BLOCK_AIR) continue;
-
-          const corners = face.corners.map(([cx, cy, cz]) => [x + cx, y + cy, z + cz]);
-          pushQuad(positions, normals, indices, corners, face.normal);
-        }
-      }
+  configure(seed, profile, edits) {
+    this.clear();
+    this.configuration = { seed, profile, edits: { ...edits } };
+    for (const { worker, stopped } of this.workers) {
+      if (!stopped) worker.postMessage({ type: 'configure', ...this.configuration });
     }
   }
 
-  if (!positions.length) return null;
-
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-  geometry.setIndex(indices);
-  geometry.computeBoundingSphere();
-  geometry.computeBoundingBox();
-  return geometry;
-}
-
-class ChunkManager {
-  constructor(root) {
-    this.root = root;
-    this.chunks = new Map();
-    this.frustum = new THREE.Frustum();
-    this.projectionView = new THREE.Matrix4();
-    this.pendingBuildQueue = [];
-    this.pendingBuildSet = new Set();
-  }
-
-  key(cx, cz) {
-    return `${cx},${cz}`;
-  }
-
-  inWorld(cx, cz) {
-    return cx >= 0 && cz >= 0 && cx < WORLD_CHUNKS && cz < WORLD_CHUNKS;
+  syncChunkEdits(key, entries) {
+    if (this.configuration) this.configuration.edits[key] = entries;
+    for (const { worker, stopped } of this.workers) {
+      if (!stopped) worker.postMessage({ type: 'edits', key, entries });
+    }
   }
 
-  enqueueChunkBuild(cx, cz, camChunkX, camChunkZ) {
+  enqueueChunkBuild(cx, cz) {
     const key = this.key(cx, cz);
-    if (this.chunks.has(key) || this.pendingBuildSet.has(key) || !this.inWorld(cx, cz)) return;
-    const distance = Math.max(Math.abs(cx - camChunkX), Math.abs(cz - camChunkZ));
-    this.pendingBuildQueue.push({ cx, cz, key, distance });
+    if (this.chunks.has(key) || this.inFlight.has(key) || this.pendingBuildSet.has(key) || !this.inWorld(cx, cz)) return;
+    if (isBuildBackingOff(this.failedBuilds, key)) return;
+    this.pendingBuildQueue.push({ cx, cz, key, distance: this.chunkDistance(cx, cz) });
     this.pendingBuildSet.add(key);
   }
 
@@ -681,37 +829,83 @@ class ChunkManager {
     if (!this.pendingBuildQueue.length) return;
     this.pendingBuildQueue.sort((a, b) => a.distance - b.distance);
 
-    let built = 0;
-    while (built < MAX_CHUNK_BUILDS_PER_FRAME && this.pendingBuildQueue.length) {
-      const next = this.pendingBuildQueue.shift();
-      this.pendingBuildSet.delete(next.key);
-      if (!this.chunks.has(next.key)) {
-        this.buildChunk(next.cx, next.cz);
-        built += 1;
+    for (const entry of this.workers) {
+      if (entry.stopped) continue;
+      while (entry.jobs < MAX_CHUNK_JOBS_PER_WORKER && this.pendingBuildQueue.length) {
+        const next = this.pendingBuildQueue.shift();
+        this.pendingBuildSet.delete(next.key);
+        const version = (this.chunkVersions.get(next.key) || 0) + 1;
+        this.chunkVersions.set(next.key, version);
+        this.inFlight.set(next.key, version);
+        entry.jobKeys.set(next.key, { cx: next.cx, cz: next.cz });
+        entry.jobs += 1;
+        entry.worker.postMessage({
+          type: 'build',
+          jobId: this.nextJobId++,
+          generation: this.generation,
+          version,
+          cx: next.cx,
+          cz: next.cz,
+        });
       }
     }
   }
 
-  buildChunk(cx, cz) {
-    const key = this.key(cx, cz);
-    if (this.chunks.has(key) || !this.inWorld(cx, cz)) return;
+  handleWorkerMessage(entry, message) {
+    entry.jobs = Math.max(0, entry.jobs - 1);
+    entry.crashes = 0;
+    if (message.generation !== this.generation) return;
+
+    const key = this.key(message.cx, message.cz);
+    entry.jobKeys.delete(key);
+    if (this.inFlight.get(key) === message.version) this.inFlight.delete(key);
+    if (message.type === 'failed') {
+      recordBuildFailure(this.failedBuilds, key, message);
+      return;
+    }
+    this.failedBuilds.delete(key);
+
+    const existing = this.chunks.get(key);
+    if (existing && existing.version > message.version) return;
+    if (this.chunkDistance(message.cx, message.cz) > this.viewDistance + CHUNK_UNLOAD_MARGIN) {
+      if (existing) this.removeChunk(key);
+      return;
+    }
+    this.addChunk(message.cx, message.cz, message.version, message.meshes);
+    if (existing) this.unloadChunk(existing);
+  }
+
+  createChunkGeometry({ positions, normals, uvs, tiles, ao, light, indices }) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setAttribute('tile', new THREE.BufferAttribute(tiles, 1));
+    geometry.setAttribute('ao', new THREE.BufferAttribute(ao, 1));
+    geometry.setAttribute('light', new THREE.BufferAttribute(light, 2));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeBoundingSphere();
+    geometry.computeBoundingBox();
+    return geometry;
+  }
 
-    const voxels = buildChunkVoxelData(cx, cz);
+  addChunk(cx, cz, version, meshData) {
+    const key = this.key(cx, cz);
     const group = new THREE.Group();
-    const chunkOriginX = cx * CHUNK_SIZE;
-    const chunkOriginZ = cz * CHUNK_SIZE;
-    group.position.set(chunkOriginX, 0, chunkOriginZ);
+    group.position.set(cx * CHUNK_SIZE, 0, cz * CHUNK_SIZE);
 
     const meshes = [];
-    for (const type of [BLOCK_STONE, BLOCK_DIRT, BLOCK_GRASS, BLOCK_WOOD, BLOCK_LEAF, BLOCK_WATER, BLOCK_SAND, BLOCK_APPLE, BLOCK_SNOW]) {
-      const geometry = buildMaterialGreedyGeometry(voxels, type, chunkOriginX, chunkOriginZ);
-      if (!geometry) continue;
-      const mesh = new THREE.Mesh(geometry, materials[type]);
+    let triangles = 0;
+    let naiveTriangles = 0;
+    for (const data of meshData) {
+      const mesh = new THREE.Mesh(this.createChunkGeometry(data), materials[data.type]);
       mesh.receiveShadow = false;
       mesh.castShadow = false;
       mesh.frustumCulled = true;
       group.add(mesh);
       meshes.push(mesh);
+      triangles += data.indices.length / 3;
+      naiveTriangles += data.naiveTriangles;
     }
 
     const bounds = new THREE.Box3(
@@ -719,12 +913,43 @@ class ChunkManager {
       new THREE.Vector3((cx + 1) * CHUNK_SIZE, MAX_HEIGHT + 1, (cz + 1) * CHUNK_SIZE),
     );
 
-    this.chunks.set(key, { cx, cz, group, meshes, bounds });
+    this.chunks.set(key, { cx, cz, version, group, meshes, bounds, triangles, naiveTriangles });
+    this.stats.triangles += triangles;
+    this.stats.naiveTriangles += naiveTriangles;
     this.root.add(group);
   }
 
+  rebuildChunk(cx, cz) {
+    const key = this.key(cx, cz);
+    if (!this.chunks.has(key) || this.pendingBuildSet.has(key)) return;
+    this.pendingBuildQueue.push({ cx, cz, key, distance: -1 });
+    this.pendingBuildSet.add(key);
+    this.processChunkBuildQueue();
+  }
+
+  rebuildChunksAtVoxel(wx, wz) {
+    const minX = Math.floor((wx - MAX_LIGHT_LEVEL) / CHUNK_SIZE);
+    const maxX = Math.floor((wx + MAX_LIGHT_LEVEL) / CHUNK_SIZE);
+    const minZ = Math.floor((wz - MAX_LIGHT_LEVEL) / CHUNK_SIZE);
+    const maxZ = Math.floor((wz + MAX_LIGHT_LEVEL) / CHUNK_SIZE);
+    this.rebuildChunk(Math.floor(wx / CHUNK_SIZE), Math.floor(wz / CHUNK_SIZE));
+    for (let cx = minX; cx <= maxX; cx += 1) {
+      for (let cz = minZ; cz <= maxZ; cz += 1) this.rebuildChunk(cx, cz);
+    }
+  }
+
+  removeChunk(key) {
+    const chunk = this.chunks.get(key);
+    if (!chunk) return;
+    this.unloadChunk(chunk);
+    this.chunks.delete(key);
+    if (!this.inFlight.has(key)) this.chunkVersions.delete(key);
+  }
+
   unloadChunk(chunk) {
     this.root.remove(chunk.group);
+    this.stats.triangles -= chunk.triangles;
+    this.stats.naiveTriangles -= chunk.naiveTriangles;
     for (const mesh of chunk.meshes) {
       if (mesh.geometry) mesh.geometry.dispose();
     }
@@ -735,15 +960,38 @@ class ChunkManager {
     this.chunks.clear();
     this.pendingBuildQueue.length = 0;
     this.pendingBuildSet.clear();
+    this.inFlight.clear();
+    this.failedBuilds.clear();
+    this.chunkVersions.clear();
+    for (const entry of this.workers) entry.jobKeys.clear();
+    this.generation += 1;
   }
 
   update(cameraObj) {
-    const camChunkX = Math.floor(cameraObj.position.x / CHUNK_SIZE);
-    const camChunkZ = Math.floor(cameraObj.position.z / CHUNK_SIZE);
+    this.centerChunkX = Math.floor(cameraObj.position.x / CHUNK_SIZE);
+    this.centerChunkZ = Math.floor(cameraObj.position.z / CHUNK_SIZE);
+
+    const unloadDistance = this.viewDistance + CHUNK_UNLOAD_MARGIN;
+    for (const [key, chunk] of this.chunks) {
+      if (this.chunkDistance(chunk.cx, chunk.cz) > unloadDistance) this.removeChunk(key);
+    }
+    for (const [key, { message }] of this.failedBuilds) {
+      if (this.chunkDistance(message.cx, message.cz) > unloadDistance) this.failedBuilds.delete(key);
+    }
 
-    for (let dz = -RENDER_DISTANCE; dz <= RENDER_DISTANCE; dz += 1) {
-      for (let dx = -RENDER_DISTANCE; dx <= RENDER_DISTANCE; dx += 1) {
-        this.enqueueChunkBuild(camChunkX + dx, camChunkZ + dz, camChunkX, camChunkZ);
+    this.pendingBuildQueue = this.pendingBuildQueue.filter((entry) => {
+      const distance = this.chunkDistance(entry.cx, entry.cz);
+      if (distance > this.viewDistance) {
+        this.pendingBuildSet.delete(entry.key);
+        return false;
+      }
+      if (entry.distance >= 0) entry.distance = distance;
+      return true;
+    });
+
+    for (let dz = -this.viewDistance; dz <= this.viewDistance; dz += 1) {
+      for (let dx = -this.viewDistance; dx <= this.viewDistance; dx += 1) {
+        this.enqueueChunkBuild(this.centerChunkX + dx, this.centerChunkZ + dz);
       }
     }
 
@@ -752,12 +1000,9 @@ class ChunkManager {
     this.projectionView.multiplyMatrices(cameraObj.projectionMatrix, cameraObj.matrixWorldInverse);
     this.frustum.setFromProjectionMatrix(this.projectionView);
 
-    const chunksToSwap = [];
     for (const [, chunk] of this.chunks) {
-      const dx = chunk.cx - camChunkX;
-      const dz = chunk.cz - camChunkZ;
       chunk.group.visible = this.frustum.intersectsBox(chunk.bounds);
-      const castShadow = Math.max(Math.abs(dx), Math.abs(dz)) <= SHADOW_CAST_DISTANCE;
+      const castShadow = this.chunkDistance(chunk.cx, chunk.cz) <= SHADOW_CAST_DISTANCE;
       for (const mesh of chunk.meshes) mesh.castShadow = castShadow;
     }
   }
@@ -765,6 +1010,160 @@ class ChunkManager {
 
 const chunkManager = new ChunkManager(world);
 
+class TerrainLodManager {
+  constructor(root) {
+    this.root = root;
+    this.tiles = new Map();
+    this.inFlight = new Set();
+    this.failedBuilds = new Map();
+    this.generation = 0;
+    this.configuration = null;
+    this.workerCrashes = 0;
+    this.workerStopped = false;
+    this.crashesSinceBuild = 0;
+    this.holeUniform = { value: new THREE.Vector4() };
+    this.material = new THREE.MeshLambertMaterial({ vertexColors: true });
+    this.material.onBeforeCompile = (shader) => {
+      shader.uniforms.lodHole = this.holeUniform;
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nvarying vec2 vLodWorld;')
+        .replace('#include <project_vertex>', '#include <project_vertex>\nvLodWorld = (modelMatrix * vec4(transformed, 1.0)).xz;');
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', '#include <common>\nuniform vec4 lodHole;\nvarying vec2 vLodWorld;')
+        .replace('#include <clipping_planes_fragment>', `
+          #include <clipping_planes_fragment>
+          if (all(greaterThan(vLodWorld, lodHole.xy)) && all(lessThan(vLodWorld, lodHole.zw))) discard;
+        `);
+    };
+    this.startWorker();
+  }
+
+  startWorker() {
+    this.worker = new Worker(new URL('./chunk-worker.js', import.meta.url), { type: 'module' });
+    this.worker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+    this.worker.addEventListener('error', () => this.handleWorkerError());
+    if (this.configuration) this.worker.postMessage({ type: 'configure', ...this.configuration });
+  }
+
+  handleWorkerError() {
+    this.worker.terminate();
+    this.workerCrashes += 1;
+    this.crashesSinceBuild += 1;
+    this.inFlight.clear();
+    if (this.crashesSinceBuild < WORKER_RESTART_LIMIT) this.startWorker();
+    else this.workerStopped = true;
+  }
+
+  configure(seed, profile) {
+    this.clear();
+    this.configuration = { seed, profile, edits: {} };
+    if (!this.workerStopped) this.worker.postMessage({ type: 'configure', ...this.configuration });
+  }
+
+  inWorld(tileX, tileZ) {
+    const chunksPerTile = TERRAIN_LOD_TILE_SIZE / CHUNK_SIZE;
+    return isChunkInWorld(worldGen, tileX * chunksPerTile, tileZ * chunksPerTile);
+  }
+
+  handleWorkerMessage(message) {
+    this.crashesSinceBuild = 0;
+    if (message.generation !== this.generation) return;
+    const key = chunkKey(message.tileX, message.tileZ);
+    this.inFlight.delete(key);
+    if (message.type === 'failed') {
+      recordBuildFailure(this.failedBuilds, key, message);
+      return;
+    }
+    this.failedBuilds.delete(key);
+
+    const { positions, colors, indices } = message.lod;
+    const color = new THREE.Color();
+    for (let i = 0; i < colors.length; i += 3) {
+      color.setRGB(colors[i], colors[i + 1], colors[i + 2], THREE.SRGBColorSpace);
+      colors[i] = color.r;
+      colors[i + 1] = color.g;
+      colors[i + 2] = color.b;
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeVertexNormals();
+    geometry.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.position.set(message.tileX * TERRAIN_LOD_TILE_SIZE, -LOD_SINK, message.tileZ * TERRAIN_LOD_TILE_SIZE);
+    this.tiles.set(key, { tileX: message.tileX, tileZ: message.tileZ, mesh });
+    this.root.add(mesh);
+  }
+
+  removeTile(key) {
+    const tile = this.tiles.get(key);
+    if (!tile) return;
+    this.root.remove(tile.mesh);
+    tile.mesh.geometry.dispose();
+    this.tiles.delete(key);
+  }
+
+  clear() {
+    for (const key of [...this.tiles.keys()]) this.removeTile(key);
+    this.inFlight.clear();
+    this.failedBuilds.clear();
+    this.generation += 1;
+  }
+
+  update(cameraObj, chunks) {
+    const centerTileX = Math.floor(cameraObj.position.x / TERRAIN_LOD_TILE_SIZE);
+    const centerTileZ = Math.floor(cameraObj.position.z / TERRAIN_LOD_TILE_SIZE);
+    const tileDistance = (tileX, tileZ) => Math.max(Math.abs(tileX - centerTileX), Math.abs(tileZ - centerTileZ));
+
+    this.holeUniform.value.set(
+      (chunks.centerChunkX - chunks.viewDistance) * CHUNK_SIZE,
+      (chunks.centerChunkZ - chunks.viewDistance) * CHUNK_SIZE,
+      (chunks.centerChunkX + chunks.viewDistance + 1) * CHUNK_SIZE,
+      (chunks.centerChunkZ + chunks.viewDistance + 1) * CHUNK_SIZE,
+    );
+
+    for (const [key, tile] of this.tiles) {
+      if (tileDistance(tile.tileX, tile.tileZ) > LOD_RADIUS_TILES + 1) this.removeTile(key);
+    }
+    for (const [key, { message }] of this.failedBuilds) {
+      if (tileDistance(message.tileX, message.tileZ) > LOD_RADIUS_TILES + 1) this.failedBuilds.delete(key);
+    }
+
+    if (this.workerStopped || this.inFlight.size >= MAX_LOD_JOBS) return;
+    const missing = [];
+    for (let dz = -LOD_RADIUS_TILES; dz <= LOD_RADIUS_TILES; dz += 1) {
+      for (let dx = -LOD_RADIUS_TILES; dx <= LOD_RADIUS_TILES; dx += 1) {
+        const tileX = centerTileX + dx;
+        const tileZ = centerTileZ + dz;
+        const key = chunkKey(tileX, tileZ);
+        if (this.tiles.has(key) || this.inFlight.has(key) || !this.inWorld(tileX, tileZ)) continue;
+        if (isBuildBackingOff(this.failedBuilds, key)) continue;
+        missing.push({ tileX, tileZ, key, distance: Math.max(Math.abs(dx), Math.abs(dz)) });
+      }
+    }
+    missing.sort((a, b) => a.distance - b.distance);
+    for (const next of missing.slice(0, MAX_LOD_JOBS - this.inFlight.size)) {
+      this.inFlight.add(next.key);
+      this.worker.postMessage({ type: 'lod', generation: this.generation, tileX: next.tileX, tileZ: next.tileZ });
+    }
+  }
+}
+
+const terrainLod = new TerrainLodManager(world);
+
+function applyViewDistance(distance) {
+  chunkManager.setViewDistance(distance);
+  optionViewDistance.value = String(chunkManager.viewDistance);
+  viewDistanceValueEl.textContent = `${chunkManager.viewDistance} chunks`;
+  camera.far = (LOD_RADIUS_TILES + 1) * TERRAIN_LOD_TILE_SIZE * 1.5;
+  camera.updateProjectionMatrix();
+  scene.fog.near = chunkManager.viewDistance * CHUNK_SIZE * 0.75;
+}
+
+applyViewDistance(options.viewDistance);
+
 const velocity = new THREE.Vector3();
 const moveInput = new THREE.Vector3();
 const forward = new THREE.Vector3();
@@ -783,25 +1182,44 @@ const PLAYER_HEIGHT = 1.8;
 const PLAYER_EYE_HEIGHT = 1.62;
 const PLAYER_RADIUS = 0.3;
 const COLLISION_STEP = 0.1;
-const ANIMAL_COLLISION_STEP = 0.08;
+const ANIMAL_COLLISION_STEP = 0.3;
 const ANIMAL_STEP_HEIGHT = 1.05;
 const ANIMAL_BAR_CANVAS_WIDTH = 120;
 const ANIMAL_BAR_CANVAS_HEIGHT = 58;
 const JUMP_SPEED = 11;
 const GRAVITY = 30;
 const DOUBLE_TAP_MS = 260;
+const BLOCK_REACH = 7;
+
+let selectedBlockIndex = 0;
+let blockTarget = null;
 
 
+function columnSurfaceY(x, z) {
+  let y = terrainHeight(worldGen, x, z) + 1;
+  while (y <= MAX_HEIGHT && isSolidBlock(getVoxelTypeAt(worldGen, x, y, z))) y += 1;
+  while (y > 0 && !isSolidBlock(getVoxelTypeAt(worldGen, x, y - 1, z))) y -= 1;
+  return y;
+}
+
+function endlessSpawnAnchor() {
+  return animals.length ? animals[Math.floor(simRandom() * animals.length)].position : WORLD_SPAWN_POINT;
+}
+
 function randomWorldGroundPoint() {
-  const x = 4 + Math.random() * (WORLD_SIZE - 8);
-  const z = 4 + Math.random() * (WORLD_SIZE - 8);
-  const y = terrainHeight(Math.floor(x), Math.floor(z)) + 1;
+  const anchor = isEndlessWorld(worldGen) ? endlessSpawnAnchor() : null;
+  const x = anchor ? anchor.x + randomSigned() * ENDLESS_SPAWN_RADIUS : 4 + simRandom() * (worldGen.worldSize - 8);
+  const z = anchor ? anchor.z + randomSigned() * ENDLESS_SPAWN_RADIUS : 4 + simRandom() * (worldGen.worldSize - 8);
+  const y = columnSurfaceY(Math.floor(x), Math.floor(z));
   return { x, y, z };
 }
 
 function clampAnimalToGround(animal) {
-  const groundY = terrainHeight(Math.floor(animal.position.x), Math.floor(animal.position.z)) + animal.radius + 1;
-  animal.position.y = groundY;
+  const x = Math.floor(animal.position.x);
+  const z = Math.floor(animal.position.z);
+  let y = Math.floor(animal.position.y - animal.radius + ANIMAL_STEP_HEIGHT);
+  while (y > 0 && !isSolidBlock(animalVoxelAt(x, y - 1, z))) y -= 1;
+  animal.position.y = y + animal.radius;
 }
 
 function getAnimalBounds(position, radius) {
@@ -815,6 +1233,19 @@ function getAnimalBounds(position, radius) {
   };
 }
 
+function animalVoxelAt(x, y, z) {
+  if (Math.abs(x) >= ANIMAL_VOXEL_CACHE_RANGE || Math.abs(z) >= ANIMAL_VOXEL_CACHE_RANGE || y < 0 || y > MAX_HEIGHT) return getVoxelTypeAt(worldGen, x, y, z);
+  const key = (x + ANIMAL_VOXEL_CACHE_RANGE) * ANIMAL_VOXEL_CACHE_RANGE * 2 + z + ANIMAL_VOXEL_CACHE_RANGE;
+  let column = animalVoxelCache.get(key);
+  if (!column) {
+    if (animalVoxelCache.size >= ANIMAL_VOXEL_CACHE_LIMIT) animalVoxelCache.clear();
+    column = new Int16Array(MAX_HEIGHT + 1).fill(-1);
+    animalVoxelCache.set(key, column);
+  }
+  if (column[y] < 0) column[y] = getVoxelTypeAt(worldGen, x, y, z);
+  return column[y];
+}
+
 function hasAnimalSolidCollision(animal, position = animal.position) {
   const bounds = getAnimalBounds(position, animal.radius);
   const minX = Math.floor(bounds.minX);
@@ -827,7 +1258,7 @@ function hasAnimalSolidCollision(animal, position = animal.position) {
   for (let y = minY; y <= maxY; y += 1) {
     for (let z = minZ; z <= maxZ; z += 1) {
       for (let x = minX; x <= maxX; x += 1) {
-        if (isSolidBlock(getVoxelTypeAt(x, y, z))) return true;
+        if (isSolidBlock(animalVoxelAt(x, y, z))) return true;
       }
     }
   }
@@ -865,15 +1296,7 @@ function moveAnimalWithCollisions(animal, axis, amount) {
   return collided;
 }
 
-function randomNeuronSet() {
-  return [Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1];
-}
-
-function randomWeightSet() {
-  return [Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1];
-}
-
-function createAnimalBars(typeName) {
+function createAnimalBars() {
   const canvas = document.createElement('canvas');
   canvas.width = ANIMAL_BAR_CANVAS_WIDTH;
   canvas.height = ANIMAL_BAR_CANVAS_HEIGHT;
@@ -890,7 +1313,6 @@ function createAnimalBars(typeName) {
 
   const sprite = new THREE.Sprite(material);
   sprite.scale.set(2.1, 1.05, 1);
-  sprite.position.y = 1.9;
 
   const drawBar = (ctx, y, label, color, ratio) => {
     const left = 28;
@@ -918,7 +1340,15 @@ function createAnimalBars(typeName) {
 
     context.fillStyle = '#f2f6ff';
     context.font = 'bold 10px sans-serif';
-    context.fillText(typeName, 4, 9);
+    context.fillText(profile.name, 4, 9);
+    const condition = describeAnimalCondition(animal);
+    if (condition) {
+      context.fillStyle = condition.color;
+      context.font = 'bold 8px sans-serif';
+      context.textAlign = 'right';
+      context.fillText(condition.label, ANIMAL_BAR_CANVAS_WIDTH - 4, 9);
+      context.textAlign = 'left';
+    }
 
     drawBar(context, 14, 'HP', '#6cd96a', animal.health / animal.maxHealth);
     drawBar(context, 28, 'HGR', '#f1b34b', 1 - animal.hunger / animal.maxHunger);
@@ -933,8 +1363,7 @@ function createAnimal(type, { x, y, z } = randomWorldGroundPoint(), inherited =
   const profile = ANIMAL_TYPES[type];
   if (!profile) return null;
   const radius = Math.max(0.2, inherited?.radius ?? profile.radius);
-  const neurons = inherited?.neurons ? [...inherited.neurons] : randomNeuronSet();
-  const weights = inherited?.weights ? [...inherited.weights] : randomWeightSet();
+  const weights = inherited?.weights?.length === BRAIN_GENOME_SIZE ? [...inherited.weights] : createBrainGenome(simRandom);
   const animal = {
     id: `a-${animalIdCounter++}`,
     type,
@@ -943,7 +1372,7 @@ function createAnimal(type, { x, y, z } = randomWorldGroundPoint(), inherited =
     weight: Math.max(3, inherited?.weight ?? profile.baseWeight),
     position: new THREE.Vector3(x, y ?? 0, z),
     velocity: new THREE.Vector3(),
-    heading: Math.random() * Math.PI * 2,
+    heading: simRandom() * Math.PI * 2,
     energy: inherited?.energy ?? profile.maxEnergy * 0.72,
     maxHealth: 100,
     health: inherited?.health ?? 100,
@@ -952,46 +1381,63 @@ function createAnimal(type, { x, y, z } = randomWorldGroundPoint(), inherited =
     hunger: 0,
     maxThirst: 3,
     thirst: 0,
+    drinking: false,
+    goal: null,
+    foodTarget: null,
+    foodSearchCooldown: 0,
+    waterTarget: null,
+    waterSearchCooldown: 0,
+    preyId: null,
+    predatorId: null,
+    targetSearchCooldown: simRandom() * ANIMAL_TARGET_REFRESH,
     needs: {
       food: 0,
-      safety: Math.random() * 0.3,
+      safety: simRandom() * 0.3,
       duplicate: 0,
     },
-    neurons,
+    neurons: new Array(BRAIN_HIDDEN_SIZE).fill(0),
     weights,
+    brainInputs: new Array(BRAIN_INPUTS.length).fill(0),
+    brainOutputs: new Array(BRAIN_OUTPUTS.length).fill(0),
+    speedFactor: 1,
+    generation: inherited?.generation ?? 0,
+    parentId: inherited?.parentId ?? null,
   };
   clampAnimalToGround(animal);
+  recordAnimalBirth(animal);
+  return addAnimal(animal);
+}
 
-  const mesh = new THREE.Mesh(
-    new THREE.SphereGeometry(radius, 10, 10),
-    new THREE.MeshStandardMaterial({ color: profile.color, roughness: 0.7, metalness: 0.02 }),
-  );
-  const bars = createAnimalBars(profile.name);
-  mesh.add(bars.sprite);
-  mesh.position.copy(animal.position);
-  animalGroup.add(mesh);
-
+function addAnimal(animal) {
   animals.push(animal);
-  animalMeshes.set(animal.id, { mesh, bars });
+  animalsById.set(animal.id, animal);
   return animal;
 }
 
-function removeAnimal(animal) {
-  const idx = animals.findIndex((entry) => entry.id === animal.id);
-  if (idx >= 0) animals.splice(idx, 1);
-  const animalVisual = animalMeshes.get(animal.id);
-  if (animalVisual) {
-    animalGroup.remove(animalVisual.mesh);
-    animalVisual.mesh.geometry.dispose();
-    animalVisual.mesh.material.dispose();
-    animalVisual.bars.texture.dispose();
-    animalVisual.bars.sprite.material.dispose();
-    animalMeshes.delete(animal.id);
+function removeAnimals(removed) {
+  let kept = 0;
+  for (const animal of animals) {
+    if (removed.has(animal)) {
+      animalsById.delete(animal.id);
+      continue;
+    }
+    animals[kept] = animal;
+    kept += 1;
   }
+  animals.length = kept;
+}
+
+function spawnNaturalAnimal() {
+  const point = randomWorldGroundPoint();
+  return createAnimal(pickBiomeAnimalType(biomeAt(worldGen, Math.floor(point.x), Math.floor(point.z)), simRandom()), point);
+}
+
+function spawnAnimalHerd(count) {
+  for (let i = 0; i < count && animals.length < MAX_ANIMALS; i += 1) spawnNaturalAnimal();
 }
 
 function mutateValue(value, scale = 1) {
-  return value + (Math.random() * 2 - 1) * ANIMAL_MUTATION_FACTOR * scale;
+  return value + randomSigned() * ANIMAL_MUTATION_FACTOR * scale;
 }
 
 function duplicateAnimal(animal) {
@@ -999,161 +1445,864 @@ function duplicateAnimal(animal) {
   const child = createAnimal(
     animal.type,
     {
-      x: THREE.MathUtils.clamp(animal.position.x + (Math.random() * 2 - 1) * 2.6, 2, WORLD_SIZE - 2),
+      x: clampToWorld(worldGen, animal.position.x + randomSigned() * 2.6, 2),
       y: animal.position.y,
-      z: THREE.MathUtils.clamp(animal.position.z + (Math.random() * 2 - 1) * 2.6, 2, WORLD_SIZE - 2),
+      z: clampToWorld(worldGen, animal.position.z + randomSigned() * 2.6, 2),
     },
     {
       weight: Math.max(3, mutateValue(animal.weight, profile.baseWeight * 0.12)),
       radius: Math.max(0.25, mutateValue(animal.radius, 0.1)),
       energy: profile.maxEnergy * 0.42,
-      neurons: animal.neurons.map((n) => mutateValue(n, 0.45)),
       weights: animal.weights.map((w) => mutateValue(w, 0.45)),
+      generation: animal.generation + 1,
+      parentId: animal.id,
     },
   );
   if (child) {
+    lineageRecords.get(animal.id)?.childIds.push(child.id);
+    statsCounters.births += 1;
     animal.energy *= 0.56;
     animal.needs.duplicate = 0;
   }
 }
 
-function findNearestTarget(animal, targetType) {
-  let best = null;
-  let bestDistSq = Infinity;
-  for (const other of animals) {
-    if (other.id === animal.id || other.type !== targetType) continue;
-    const distSq = animal.position.distanceToSquared(other.position);
-    if (distSq < bestDistSq) {
-      best = other;
-      bestDistSq = distSq;
-    }
+function animalCellKey(cellX, cellZ) {
+  return (cellX + 32768) * 65536 + (cellZ + 32768);
+}
+
+function rebuildAnimalGrids() {
+  animalGrids.clear();
+  for (const animal of animals) {
+    let grid = animalGrids.get(animal.type);
+    if (!grid) {
+      grid = new Map();
+      animalGrids.set(animal.type, grid);
+    }
+    const key = animalCellKey(Math.floor(animal.position.x / ANIMAL_GRID_CELL), Math.floor(animal.position.z / ANIMAL_GRID_CELL));
+    const cell = grid.get(key);
+    if (cell) cell.push(animal);
+    else grid.set(key, [animal]);
+  }
+}
+
+function findNearestAnimal(animal, type) {
+  const grid = animalGrids.get(type);
+  if (!grid) return null;
+  const cellX = Math.floor(animal.position.x / ANIMAL_GRID_CELL);
+  const cellZ = Math.floor(animal.position.z / ANIMAL_GRID_CELL);
+  const maxRing = Math.ceil(ANIMAL_SENSE_RADIUS / ANIMAL_GRID_CELL);
+  let best = null;
+  let bestDistSq = ANIMAL_SENSE_RADIUS * ANIMAL_SENSE_RADIUS;
+  for (let ring = 0; ring <= maxRing; ring += 1) {
+    for (let dz = -ring; dz <= ring; dz += 1) {
+      const stepX = Math.abs(dz) === ring ? 1 : ring * 2;
+      for (let dx = -ring; dx <= ring; dx += stepX) {
+        const cell = grid.get(animalCellKey(cellX + dx, cellZ + dz));
+        if (!cell) continue;
+        for (const other of cell) {
+          if (other === animal) continue;
+          const distSq = animal.position.distanceToSquared(other.position);
+          if (distSq < bestDistSq) {
+            best = other;
+            bestDistSq = distSq;
+          }
+        }
+      }
+    }
+    const clearance = ring * ANIMAL_GRID_CELL;
+    if (best && bestDistSq <= clearance * clearance) break;
+  }
+  return best;
+}
+
+function findNearestPredator(animal) {
+  let best = null;
+  for (const type of PREDATOR_TYPES[animal.type]) {
+    const candidate = findNearestAnimal(animal, type);
+    if (candidate && (!best || animal.position.distanceToSquared(candidate.position) < animal.position.distanceToSquared(best.position))) best = candidate;
+  }
+  return best;
+}
+
+function refreshAnimalTargets(animal, profile, dt) {
+  animal.targetSearchCooldown -= dt;
+  const expired = animal.targetSearchCooldown <= 0;
+  if (expired) animal.targetSearchCooldown = ANIMAL_TARGET_REFRESH;
+  if (profile.prey && (expired || (animal.preyId && !animalsById.has(animal.preyId)))) {
+    animal.preyId = findNearestAnimal(animal, profile.prey)?.id ?? null;
+  }
+  if (expired || (animal.predatorId && !animalsById.has(animal.predatorId))) {
+    animal.predatorId = findNearestPredator(animal)?.id ?? null;
+  }
+}
+
+function findNearestWaterPoint(originX, originZ) {
+  for (let radius = WATER_SEARCH_STEP; radius <= ANIMAL_SENSE_RADIUS; radius += WATER_SEARCH_STEP) {
+    let best = null;
+    let bestDistSq = Infinity;
+    for (let dz = -radius; dz <= radius; dz += WATER_SEARCH_STEP) {
+      const stepX = Math.abs(dz) === radius ? WATER_SEARCH_STEP : radius * 2;
+      for (let dx = -radius; dx <= radius; dx += stepX) {
+        const x = originX + dx;
+        const z = originZ + dz;
+        const distSq = dx * dx + dz * dz;
+        if (distSq >= bestDistSq || !isColumnInWorld(worldGen, x, z) || !hasWaterAt(worldGen, x, z)) continue;
+        best = new THREE.Vector3(x + 0.5, terrainHeight(worldGen, x, z), z + 0.5);
+        bestDistSq = distSq;
+      }
+    }
+    if (best) return best;
+  }
+  return null;
+}
+
+function nearestWaterForCell(position) {
+  const cellX = Math.floor(position.x / ANIMAL_GRID_CELL);
+  const cellZ = Math.floor(position.z / ANIMAL_GRID_CELL);
+  const key = animalCellKey(cellX, cellZ);
+  if (!nearestWaterCache.has(key)) {
+    if (nearestWaterCache.size >= NEAREST_WATER_CACHE_LIMIT) nearestWaterCache.clear();
+    const center = Math.floor(ANIMAL_GRID_CELL / 2);
+    nearestWaterCache.set(key, findNearestWaterPoint(cellX * ANIMAL_GRID_CELL + center, cellZ * ANIMAL_GRID_CELL + center));
+  }
+  return nearestWaterCache.get(key);
+}
+
+function senseWater(animal, dt) {
+  animal.waterSearchCooldown -= dt;
+  if (animal.waterSearchCooldown <= 0) {
+    animal.waterSearchCooldown = WATER_SEARCH_COOLDOWN;
+    animal.waterTarget = nearestWaterForCell(animal.position);
+  }
+  return animal.waterTarget;
+}
+
+function senseFood(animal, dt) {
+  animal.foodSearchCooldown -= dt;
+  if (animal.foodSearchCooldown <= 0) {
+    animal.foodSearchCooldown = FOOD_SEARCH_COOLDOWN;
+    animal.foodTarget = findNearestFoodPoint(animal);
+  }
+  return animal.foodTarget;
+}
+
+function writeSense(animal, offset, target) {
+  const inputs = animal.brainInputs;
+  const dx = target ? target.x - animal.position.x : 0;
+  const dz = target ? target.z - animal.position.z : 0;
+  const proximity = target ? 1 - Math.hypot(dx, dz) / ANIMAL_SENSE_RADIUS : 0;
+  if (proximity <= 0) {
+    inputs[offset] = 0;
+    inputs[offset + 1] = 0;
+    inputs[offset + 2] = 0;
+    return;
+  }
+  const angle = Math.atan2(dx, dz) - animal.heading;
+  inputs[offset] = proximity;
+  inputs[offset + 1] = Math.sin(angle);
+  inputs[offset + 2] = Math.cos(angle);
+}
+
+function chooseAnimalGoal(animal, profile) {
+  const inputs = animal.brainInputs;
+  const outputs = animal.brainOutputs;
+  const options = [
+    ['flee', inputs[BRAIN_INPUT_INDEX.predatorProximity] > 0],
+    ['eat', inputs[BRAIN_INPUT_INDEX[profile.prey ? 'preyProximity' : 'foodProximity']] > 0],
+    ['drink', !animal.drinking && inputs[BRAIN_INPUT_INDEX.waterProximity] > 0],
+  ];
+  let goal = null;
+  let bestActivation = 0.5;
+  for (const [key, available] of options) {
+    const activation = outputs[BRAIN_OUTPUT_INDEX[key]];
+    if (!available || activation <= bestActivation) continue;
+    goal = key;
+    bestActivation = activation;
+  }
+  return goal;
+}
+
+function isAtShore(animal) {
+  const x = Math.floor(animal.position.x);
+  const z = Math.floor(animal.position.z);
+  for (let dz = -1; dz <= 1; dz += 1) {
+    for (let dx = -1; dx <= 1; dx += 1) {
+      if (isColumnInWorld(worldGen, x + dx, z + dz) && hasWaterAt(worldGen, x + dx, z + dz)) return true;
+    }
+  }
+  return false;
+}
+
+function animalDeathCause(animal) {
+  if (animal.age > ANIMAL_MAX_AGE) return 'oldAge';
+  if (animal.energy > 0 && animal.health > 0) return null;
+  return animal.thirst / animal.maxThirst > animal.hunger / animal.maxHunger ? 'dehydration' : 'starvation';
+}
+
+function describeAnimalCondition(animal) {
+  if (animal.goal === 'flee') return { label: 'fleeing', color: '#ff7a6b' };
+  if (animal.drinking) return { label: 'drinking', color: '#53b5ff' };
+  if (animal.thirst > THIRST_DAMAGE_LEVEL) return { label: 'dehydrating', color: '#53b5ff' };
+  if (animal.hunger > HUNGER_DAMAGE_LEVEL) return { label: 'starving', color: '#f1b34b' };
+  return null;
+}
+
+function findNearestFoodPoint(animal) {
+  const sampleCount = 12;
+  let best = null;
+  let bestScore = Infinity;
+  for (let i = 0; i < sampleCount; i += 1) {
+    const x = Math.floor(clampToWorld(worldGen, animal.position.x + randomSigned() * 18));
+    const z = Math.floor(clampToWorld(worldGen, animal.position.z + randomSigned() * 18));
+    const voxel = animalVoxelAt(x, terrainHeight(worldGen, x, z) + 1, z);
+    const score = getBlock(voxel).edible ? 0 : 1 + simRandom();
+    if (score < bestScore) {
+      bestScore = score;
+      best = new THREE.Vector3(x + 0.5, terrainHeight(worldGen, x, z) + animal.radius, z + 0.5);
+    }
+  }
+  return best;
+}
+
+function updateAnimals(dt) {
+  if (!worldActive) return;
+
+  naturalSpawnTimer += dt;
+  if (naturalSpawnTimer >= NATURAL_SPAWN_INTERVAL) {
+    naturalSpawnTimer = 0;
+    if (animals.length < MAX_NATURAL_ANIMALS) spawnNaturalAnimal();
+  }
+
+  rebuildAnimalGrids();
+  const deaths = new Map();
+  for (const animal of animals) {
+    const profile = ANIMAL_TYPES[animal.type];
+    animal.age += dt;
+    animal.hunger = THREE.MathUtils.clamp(animal.hunger + dt * 0.22, 0, animal.maxHunger);
+    animal.thirst = THREE.MathUtils.clamp(animal.thirst + dt * 0.32, 0, animal.maxThirst);
+    animal.needs.food = animal.hunger;
+    animal.needs.duplicate = THREE.MathUtils.clamp(animal.energy / profile.duplicationThreshold, 0, 1.5);
+
+    const energyDrain = (0.85 + animal.hunger * 0.5 + animal.thirst * 0.55 + animal.weight * 0.003) * dt;
+    animal.energy -= energyDrain;
+    const healthDrain = Math.max(0, animal.hunger - HUNGER_DAMAGE_LEVEL) * dt * 2.8 + Math.max(0, animal.thirst - THIRST_DAMAGE_LEVEL) * dt * 3.6;
+    animal.health -= healthDrain;
+    const deathCause = animalDeathCause(animal);
+    if (deathCause) {
+      if (!deaths.has(animal)) deaths.set(animal, deathCause);
+      continue;
+    }
+
+    refreshAnimalTargets(animal, profile, dt);
+    const prey = animalsById.get(animal.preyId) ?? null;
+    const predator = animalsById.get(animal.predatorId) ?? null;
+    const food = profile.prey ? null : senseFood(animal, dt);
+    const water = senseWater(animal, dt);
+    writeSense(animal, BRAIN_INPUT_INDEX.foodProximity, food);
+    writeSense(animal, BRAIN_INPUT_INDEX.waterProximity, water);
+    writeSense(animal, BRAIN_INPUT_INDEX.predatorProximity, predator?.position);
+    writeSense(animal, BRAIN_INPUT_INDEX.preyProximity, prey?.position);
+    animal.brainInputs[BRAIN_INPUT_INDEX.hunger] = animal.hunger / animal.maxHunger;
+    animal.brainInputs[BRAIN_INPUT_INDEX.thirst] = animal.thirst / animal.maxThirst;
+    animal.brainInputs[BRAIN_INPUT_INDEX.energy] = animal.energy / profile.maxEnergy;
+    const outputs = runBrain(animal.weights, animal.brainInputs, animal.neurons, animal.brainOutputs);
+
+    const wantsDrink = outputs[BRAIN_OUTPUT_INDEX.drink] > 0.5;
+    animal.drinking = (wantsDrink || animal.drinking) && animal.thirst > 0.05 && isAtShore(animal);
+    if (animal.drinking) animal.thirst = Math.max(0, animal.thirst - DRINK_RATE * dt);
+
+    animal.goal = chooseAnimalGoal(animal, profile);
+    const target = { flee: predator?.position, eat: profile.prey ? prey?.position : food, drink: water }[animal.goal];
+    if (target) {
+      const away = animal.goal === 'flee' ? -1 : 1;
+      animal.heading = Math.atan2((target.x - animal.position.x) * away, (target.z - animal.position.z) * away);
+    } else {
+      animal.heading += (simRandom() - 0.5) * dt * 0.8;
+    }
+    animal.heading += outputs[BRAIN_OUTPUT_INDEX.turn] * ANIMAL_TURN_RATE * dt;
+
+    animal.speedFactor = 0.5 + outputs[BRAIN_OUTPUT_INDEX.speed] * 0.85;
+    const speed = animal.drinking ? 0 : profile.speed * animal.speedFactor;
+    animal.velocity.x = Math.sin(animal.heading) * speed;
+    animal.velocity.z = Math.cos(animal.heading) * speed;
+
+    const moveX = animal.velocity.x * dt;
+    const moveZ = animal.velocity.z * dt;
+    const hitX = moveAnimalWithCollisions(animal, 'x', moveX);
+    const hitZ = moveAnimalWithCollisions(animal, 'z', moveZ);
+    animal.position.x = clampToWorld(worldGen, animal.position.x, 1);
+    animal.position.z = clampToWorld(worldGen, animal.position.z, 1);
+    clampAnimalToGround(animal);
+
+    if (hitX || hitZ) {
+      animal.heading += (simRandom() < 0.5 ? -1 : 1) * (0.35 + simRandom() * 0.55);
+    }
+
+    const wantsEat = outputs[BRAIN_OUTPUT_INDEX.eat] > 0.5;
+    if (prey && wantsEat) {
+      const dist = animal.position.distanceTo(prey.position);
+      if (dist < animal.radius + prey.radius + 0.2) {
+        animal.energy = Math.min(profile.maxEnergy * 1.25, animal.energy + profile.foodGain);
+        animal.hunger = Math.max(0, animal.hunger - 0.85);
+        animal.health = Math.min(animal.maxHealth, animal.health + 10);
+        if (!deaths.has(prey)) deaths.set(prey, 'predation');
+      }
+    } else if (!profile.prey && wantsEat) {
+      const tx = Math.floor(animal.position.x);
+      const tz = Math.floor(animal.position.z);
+      const topY = terrainHeight(worldGen, tx, tz) + 1;
+      if (getBlock(animalVoxelAt(tx, topY, tz)).edible) {
+        animal.energy = Math.min(profile.maxEnergy * 1.2, animal.energy + profile.foodGain);
+        animal.hunger = Math.max(0, animal.hunger - 0.75);
+        animal.health = Math.min(animal.maxHealth, animal.health + 6);
+      }
+    }
+
+    const wantsReproduce = outputs[BRAIN_OUTPUT_INDEX.reproduce] > 0.5;
+    if (wantsReproduce && animal.energy >= profile.duplicationThreshold && animals.length < MAX_ANIMALS) {
+      duplicateAnimal(animal);
+    }
+  }
+
+  for (const [animal, cause] of deaths) {
+    deathCounts[cause] += 1;
+    statsCounters[cause] += 1;
+    recordAnimalDeath(animal, cause);
+  }
+  if (deaths.size) removeAnimals(deaths);
+}
+
+function ensureAnimalInstances(type, count) {
+  const existing = animalInstances.get(type);
+  if (existing && existing.capacity >= count) return existing;
+  if (existing) {
+    animalGroup.remove(existing.mesh);
+    existing.mesh.material.dispose();
+    existing.mesh.dispose();
+  }
+  const capacity = Math.max(ANIMAL_INSTANCE_CAPACITY, 2 ** Math.ceil(Math.log2(Math.max(1, count))));
+  const mesh = new THREE.InstancedMesh(animalGeometry, new THREE.MeshStandardMaterial({ roughness: 0.7, metalness: 0.02 }), capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.frustumCulled = false;
+  mesh.count = 0;
+  mesh.userData.animalType = type;
+  animalGroup.add(mesh);
+  const entry = { mesh, capacity, animals: [] };
+  animalInstances.set(type, entry);
+  return entry;
+}
+
+function syncAnimalBars() {
+  const nearby = [];
+  const maxDistSq = ANIMAL_BAR_DISTANCE * ANIMAL_BAR_DISTANCE;
+  for (const animal of animals) {
+    const distSq = animal.id === inspectedAnimalId ? -1 : animal.position.distanceToSquared(camera.position);
+    if (distSq <= maxDistSq) nearby.push({ animal, distSq });
+  }
+  nearby.sort((a, b) => a.distSq - b.distSq);
+  const shown = nearby.slice(0, ANIMAL_BAR_LIMIT);
+  while (animalBarPool.length < shown.length) {
+    const bars = createAnimalBars();
+    animalGroup.add(bars.sprite);
+    animalBarPool.push(bars);
+  }
+  animalBarPool.forEach((bars, index) => {
+    const animal = shown[index]?.animal;
+    bars.sprite.visible = !!animal;
+    if (!animal) return;
+    bars.update(animal, ANIMAL_TYPES[animal.type]);
+    bars.sprite.position.set(animal.position.x, animal.position.y + animal.radius + 1.45, animal.position.z);
+  });
+}
+
+function syncAnimalVisuals() {
+  const groups = new Map(Object.keys(ANIMAL_TYPES).map((type) => [type, []]));
+  for (const animal of animals) groups.get(animal.type).push(animal);
+  for (const [type, list] of groups) {
+    const entry = ensureAnimalInstances(type, list.length);
+    const colors = ANIMAL_INSTANCE_COLORS.get(type);
+    entry.animals = list;
+    list.forEach((animal, index) => {
+      const scale = animal.radius * (1 + animal.needs.food * 0.1);
+      tmpAnimalMatrix.makeScale(scale, scale, scale).setPosition(animal.position);
+      entry.mesh.setMatrixAt(index, tmpAnimalMatrix);
+      entry.mesh.setColorAt(index, animal.id === inspectedAnimalId ? colors.highlight : colors.base);
+    });
+    entry.mesh.count = list.length;
+    entry.mesh.instanceMatrix.needsUpdate = true;
+    if (entry.mesh.instanceColor) entry.mesh.instanceColor.needsUpdate = true;
+  }
+  syncAnimalBars();
+}
+
+function stepSimulation() {
+  simTime += SIM_STEP;
+  dayPhase = (dayPhase + SIM_STEP * DAY_CYCLE_SPEED) % 1;
+  updateAnimals(SIM_STEP);
+  statsSampleTimer += SIM_STEP;
+  if (statsSampleTimer >= STATS_SAMPLE_INTERVAL - SIM_STEP / 2) {
+    statsSampleTimer = 0;
+    recordStatsSample();
+  }
+}
+
+function advanceSimulation(frameDt) {
+  if (!worldActive || simPaused) {
+    simEffectiveSpeed = 0;
+    return;
+  }
+
+  simAccumulator += frameDt * timeSpeed;
+  const startedAt = performance.now();
+  let steps = 0;
+  while (simAccumulator >= SIM_STEP) {
+    if (steps > 0 && performance.now() - startedAt > SIM_FRAME_BUDGET_MS) break;
+    stepSimulation();
+    simAccumulator -= SIM_STEP;
+    steps += 1;
+  }
+  simAccumulator = Math.min(simAccumulator, SIM_STEP * SIM_MAX_BACKLOG_STEPS);
+  if (frameDt > 0) simEffectiveSpeed += ((steps * SIM_STEP) / frameDt - simEffectiveSpeed) * 0.1;
+}
+
+function setSimPaused(paused) {
+  simPaused = paused;
+  simAccumulator = 0;
+  pauseSimBtn.textContent = simPaused ? 'Resume' : 'Pause';
+  pauseSimBtn.classList.toggle('active', simPaused);
+  stepSimBtn.disabled = !simPaused;
+  setModeStatus();
+}
+
+function describeSimSpeed() {
+  if (simPaused) return 'Paused';
+  if (simEffectiveSpeed < timeSpeed * 0.9) return `${timeSpeed}x (${Math.round(simEffectiveSpeed)}x actual)`;
+  return `${timeSpeed}x`;
+}
+
+function serializeVector(vector) {
+  return vector ? [vector.x, vector.y, vector.z] : null;
+}
+
+function restoreVector(values) {
+  return Array.isArray(values) ? new THREE.Vector3(values[0], values[1], values[2]) : null;
+}
+
+function serializeAnimal(animal) {
+  const saved = {
+    position: serializeVector(animal.position),
+    foodTarget: serializeVector(animal.foodTarget),
+    waterTarget: serializeVector(animal.waterTarget),
+    safety: animal.needs.safety,
+  };
+  for (const key of SAVED_ANIMAL_FIELDS) saved[key] = animal[key];
+  return saved;
+}
+
+function restoreAnimal(saved, weights = saved.weights) {
+  const profile = ANIMAL_TYPES[saved.type];
+  if (!profile || weights?.length !== BRAIN_GENOME_SIZE || !Array.isArray(saved.position)) return null;
+  const { safety, ...fields } = saved;
+  return addAnimal({
+    ...fields,
+    name: profile.name,
+    weights: Array.from(weights),
+    position: restoreVector(saved.position),
+    velocity: new THREE.Vector3(),
+    foodTarget: restoreVector(saved.foodTarget),
+    waterTarget: restoreVector(saved.waterTarget),
+    targetSearchCooldown: saved.targetSearchCooldown ?? 0,
+    needs: { food: saved.hunger, safety, duplicate: 0 },
+    neurons: saved.neurons?.length === BRAIN_HIDDEN_SIZE ? saved.neurons : new Array(BRAIN_HIDDEN_SIZE).fill(0),
+    brainInputs: new Array(BRAIN_INPUTS.length).fill(0),
+    brainOutputs: new Array(BRAIN_OUTPUTS.length).fill(0),
+  });
+}
+
+function packAnimalWeights() {
+  const weights = new Float64Array(animals.length * BRAIN_GENOME_SIZE);
+  animals.forEach((animal, index) => weights.set(animal.weights, index * BRAIN_GENOME_SIZE));
+  return weights;
+}
+
+function serializeEcosystem() {
+  return {
+    simTime,
+    dayPhase,
+    animalIdCounter,
+    naturalSpawnTimer,
+    randomState: simRandom.getState(),
+    deathCounts,
+    stats: { samples: statsSamples, counters: statsCounters, sampleTimer: statsSampleTimer },
+    animals: animals.map(serializeAnimal),
+    weights: packAnimalWeights(),
+    lineage: [...lineageRecords.values()],
+  };
+}
+
+function restoreEcosystem(ecosystem) {
+  simTime = ecosystem.simTime ?? 0;
+  dayPhase = ecosystem.dayPhase ?? dayPhase;
+  animalIdCounter = ecosystem.animalIdCounter ?? 1;
+  naturalSpawnTimer = ecosystem.naturalSpawnTimer ?? 0;
+  simRandom = createSeededRandom(ecosystem.randomState ?? hashStringToSeed(`${currentWorld.seed}:simulation`));
+  deathCounts = { ...createDeathCounts(), ...ecosystem.deathCounts };
+  statsSamples = Array.isArray(ecosystem.stats?.samples) ? ecosystem.stats.samples : [];
+  statsCounters = { ...createStatsCounters(), ...ecosystem.stats?.counters };
+  statsSampleTimer = ecosystem.stats?.sampleTimer ?? 0;
+  statsDirty = true;
+  for (const record of ecosystem.lineage ?? []) lineageRecords.set(record.id, record);
+  ecosystem.animals.forEach((saved, index) => {
+    const start = index * BRAIN_GENOME_SIZE;
+    const animal = restoreAnimal(saved, ecosystem.weights?.subarray(start, start + BRAIN_GENOME_SIZE) ?? saved.weights);
+    if (animal && !lineageRecords.has(animal.id)) recordAnimalBirth(animal);
+  });
+}
+
+function saveEcosystem() {
+  if (!worldActive || !currentWorld) return;
+  lastEcosystemSaveAt = performance.now();
+  const worldId = currentWorld.id;
+  const savedSimTime = simTime;
+  try {
+    if (!ecosystemDb) throw new Error('Browser storage is unavailable.');
+    const ecosystem = serializeEcosystem();
+    const bytes = estimateEcosystemBytes(ecosystem);
+    if (bytes > ecosystemStorageFree + lastEcosystemSaveBytes) {
+      throw new Error(`It needs about ${formatMegabytes(bytes)} but only ${formatMegabytes(ecosystemStorageFree)} of browser storage is free.`);
+    }
+    const transaction = ecosystemDb.transaction(ECOSYSTEM_DB_STORE, 'readwrite');
+    transaction.objectStore(ECOSYSTEM_DB_STORE).put(ecosystem, worldId);
+    transaction.oncomplete = () => {
+      localStorage.removeItem(ecosystemSaveKey(worldId));
+      refreshEcosystemStorageFree();
+      if (currentWorld?.id !== worldId) return;
+      lastEcosystemSaveBytes = bytes;
+      lastEcosystemSavedSimTime = savedSimTime;
+      setSaveStatus(null);
+    };
+    transaction.onabort = () => {
+      if (currentWorld?.id === worldId) setSaveStatus(transaction.error ?? new Error('The write was aborted.'));
+    };
+  } catch (error) {
+    setSaveStatus(error);
+  }
+}
+
+function showSaveStatus(kind, message) {
+  saveStatusMessages[kind] = message;
+  const text = Object.values(saveStatusMessages).filter(Boolean).join(' ');
+  saveStatusEl.classList.toggle('hidden', !text);
+  saveStatusEl.textContent = text;
+}
+
+function setSaveStatus(error) {
+  if (!error) {
+    showSaveStatus('ecosystem', '');
+    return;
+  }
+  const kept = lastEcosystemSavedSimTime === null ? 'No earlier save exists.' : `The save from Sim ${Math.floor(lastEcosystemSavedSimTime)}s is kept.`;
+  showSaveStatus('ecosystem', `Ecosystem not saved: ${error.message} ${kept}`);
+}
+
+function setWorldSaveStatus(error) {
+  showSaveStatus('world', error ? `World not saved: ${error.message} Unsaved block edits are retried on the next change.` : '');
+}
+
+function autosaveEcosystem(now) {
+  if (now - lastEcosystemSaveAt >= ECOSYSTEM_SAVE_INTERVAL) saveEcosystem();
+}
+
+function clearAnimals() {
+  animals.length = 0;
+  animalsById.clear();
+  nearestWaterCache.clear();
+  animalVoxelCache.clear();
+  lineageRecords.clear();
+  closeAnimalInspector();
+}
+
+function recordAnimalBirth(animal) {
+  lineageRecords.set(animal.id, {
+    id: animal.id,
+    type: animal.type,
+    generation: animal.generation,
+    parentId: animal.parentId,
+    childIds: [],
+    bornAt: simTime,
+    diedAt: null,
+    deathCause: null,
+  });
+  if (lineageRecords.size <= LINEAGE_RECORD_LIMIT) return;
+  for (const record of lineageRecords.values()) {
+    if (record.diedAt === null || record.id === inspectedAnimalId) continue;
+    lineageRecords.delete(record.id);
+    break;
   }
-  return best;
 }
 
-function findNearestFoodPoint(animal) {
-  const sampleCount = 12;
-  let best = null;
-  let bestScore = Infinity;
-  for (let i = 0; i < sampleCount; i += 1) {
-    const x = Math.floor(THREE.MathUtils.clamp(animal.position.x + (Math.random() * 2 - 1) * 18, 0, WORLD_SIZE - 1));
-    const z = Math.floor(THREE.MathUtils.clamp(animal.position.z + (Math.random() * 2 - 1) * 18, 0, WORLD_SIZE - 1));
-    const voxel = getVoxelTypeAt(x, terrainHeight(x, z) + 1, z);
-    const score = voxel === BLOCK_APPLE ? 0 : 1 + Math.random();
-    if (score < bestScore) {
-      bestScore = score;
-      best = new THREE.Vector3(x + 0.5, terrainHeight(x, z) + animal.radius, z + 0.5);
-    }
-  }
-  return best;
+function recordAnimalDeath(animal, cause) {
+  const record = lineageRecords.get(animal.id);
+  if (!record) return;
+  record.diedAt = simTime;
+  record.deathCause = cause;
 }
 
-function updateAnimals(dt) {
-  if (!worldActive) return;
+function pickAnimalAt(ndcX, ndcY) {
+  tmpPointer.set(ndcX, ndcY);
+  animalRaycaster.setFromCamera(tmpPointer, camera);
+  animalRaycaster.far = ANIMAL_INSPECT_REACH;
+  const meshes = [...animalInstances.values()].map((entry) => entry.mesh);
+  meshes.forEach((mesh) => mesh.computeBoundingSphere());
+  const hit = animalRaycaster.intersectObjects(meshes, false)[0];
+  if (!hit) return null;
+  const { origin, direction } = animalRaycaster.ray;
+  if (raycastVoxel(origin, direction, hit.distance)) return null;
+  const entry = animalInstances.get(hit.object.userData.animalType);
+  return { animal: entry?.animals[hit.instanceId] ?? null, distance: hit.distance };
+}
 
-  naturalSpawnTimer += dt;
-  if (naturalSpawnTimer >= NATURAL_SPAWN_INTERVAL) {
-    naturalSpawnTimer = 0;
-    if (animals.length < MAX_NATURAL_ANIMALS) {
-      createAnimal(Math.random() < 0.7 ? 'grazer' : 'hunter');
-    }
-  }
+function openAnimalInspector(id) {
+  inspectedAnimalId = id;
+  inspectorLineageKey = '';
+  animalInspectorEl.classList.remove('hidden');
+  renderAnimalGenome(animalsById.get(id));
+  renderAnimalInspector();
+}
 
-  const toRemove = [];
-  for (const animal of animals) {
-    const profile = ANIMAL_TYPES[animal.type];
-    animal.age += dt;
-    animal.hunger = THREE.MathUtils.clamp(animal.hunger + dt * 0.22, 0, animal.maxHunger);
-    animal.thirst = THREE.MathUtils.clamp(animal.thirst + dt * 0.32, 0, animal.maxThirst);
-    animal.needs.food = animal.hunger;
-    animal.needs.duplicate = THREE.MathUtils.clamp(animal.energy / profile.duplicationThreshold, 0, 1.5);
+function closeAnimalInspector() {
+  inspectedAnimalId = null;
+  animalInspectorEl.classList.add('hidden');
+}
 
-    const energyDrain = (0.85 + animal.hunger * 0.5 + animal.thirst * 0.55 + animal.weight * 0.003) * dt;
-    animal.energy -= energyDrain;
-    const healthDrain = Math.max(0, animal.hunger - 1.6) * dt * 2.8 + Math.max(0, animal.thirst - 1.4) * dt * 3.6;
-    animal.health -= healthDrain;
-    if (animal.energy <= 0 || animal.health <= 0 || animal.age > 500) {
-      toRemove.push(animal);
-      continue;
-    }
+function formatGene(value) {
+  const strength = Math.min(1, Math.abs(value) / 3);
+  const color = value >= 0 ? `rgba(103, 166, 255, ${strength})` : `rgba(255, 122, 107, ${strength})`;
+  return `<span style="background:${color}">${value.toFixed(2)}</span>`;
+}
 
-    let target = null;
-    if (profile.prey) {
-      target = findNearestTarget(animal, profile.prey);
-    } else if (animal.needs.food > 0.55) {
-      target = findNearestFoodPoint(animal);
-    }
+function renderAnimalGenome(animal) {
+  inspectorWeightsTitleEl.textContent = animal ? `Weights (${animal.weights.length})` : 'Weights';
+  inspectorWeightsEl.innerHTML = animal ? animal.weights.map(formatGene).join('') : '<p>Genome not recorded.</p>';
+  [...inspectorWeightsEl.children].forEach((cell, index) => {
+    cell.title = describeBrainGene(index);
+  });
+}
 
-    const wanderNoise = Math.sin(animal.age * (0.8 + animal.neurons[0])) * animal.weights[0] * 0.05;
-    if (target) {
-      const targetPos = target.position ? target.position : target;
-      const dirX = targetPos.x - animal.position.x;
-      const dirZ = targetPos.z - animal.position.z;
-      animal.heading = Math.atan2(dirX, dirZ) + wanderNoise;
-    } else {
-      animal.heading += (Math.random() - 0.5) * dt * (0.8 + Math.abs(animal.weights[1]));
-    }
+function createLineageButton(id, className = '') {
+  const record = lineageRecords.get(id);
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = [className, record && record.diedAt !== null ? 'dead' : ''].join(' ').trim();
+  button.textContent = record ? `${id} · gen ${record.generation}` : `${id} (forgotten)`;
+  button.disabled = !record;
+  button.addEventListener('click', () => openAnimalInspector(id));
+  return button;
+}
 
-    const speedFactor = THREE.MathUtils.clamp(0.6 + animal.needs.food * 0.35 + Math.abs(animal.neurons[1]) * 0.1, 0.5, 1.35);
-    const speed = profile.speed * speedFactor;
-    animal.velocity.x = Math.sin(animal.heading) * speed;
-    animal.velocity.z = Math.cos(animal.heading) * speed;
+function renderAnimalLineage(record) {
+  inspectorLineageEl.innerHTML = '';
+  const ancestors = [];
+  for (let parentId = record.parentId; parentId && ancestors.length < 32; parentId = lineageRecords.get(parentId)?.parentId) {
+    ancestors.unshift(parentId);
+    if (!lineageRecords.has(parentId)) break;
+  }
 
-    const moveX = animal.velocity.x * dt;
-    const moveZ = animal.velocity.z * dt;
-    const hitX = moveAnimalWithCollisions(animal, 'x', moveX);
-    const hitZ = moveAnimalWithCollisions(animal, 'z', moveZ);
-    animal.position.x = THREE.MathUtils.clamp(animal.position.x, 1, WORLD_SIZE - 1);
-    animal.position.z = THREE.MathUtils.clamp(animal.position.z, 1, WORLD_SIZE - 1);
-    clampAnimalToGround(animal);
+  const ancestorRow = document.createElement('div');
+  ancestorRow.className = 'lineage-row';
+  if (ancestors.length) {
+    ancestors.forEach((id) => ancestorRow.append(createLineageButton(id), '›'));
+  } else {
+    ancestorRow.append('Founder ›');
+  }
+  ancestorRow.append(createLineageButton(record.id, 'current'));
 
-    if (hitX || hitZ) {
-      animal.heading += (Math.random() < 0.5 ? -1 : 1) * (0.35 + Math.random() * 0.55);
-    }
+  const childRow = document.createElement('div');
+  childRow.className = 'lineage-row';
+  childRow.append(record.childIds.length ? 'Children:' : 'No children yet');
+  record.childIds.forEach((id) => childRow.append(createLineageButton(id)));
+  inspectorLineageEl.append(ancestorRow, childRow);
+}
 
-    if (profile.prey && target) {
-      const dist = animal.position.distanceTo(target.position);
-      if (dist < animal.radius + target.radius + 0.2) {
-        animal.energy = Math.min(profile.maxEnergy * 1.25, animal.energy + profile.foodGain);
-        animal.hunger = Math.max(0, animal.hunger - 0.85);
-        animal.thirst = Math.max(0, animal.thirst - 0.35);
-        animal.health = Math.min(animal.maxHealth, animal.health + 10);
-        toRemove.push(target);
-      }
-    } else if (!profile.prey && animal.needs.food > 0.4) {
-      const tx = Math.floor(animal.position.x);
-      const tz = Math.floor(animal.position.z);
-      const topY = terrainHeight(tx, tz) + 1;
-      if (getVoxelTypeAt(tx, topY, tz) === BLOCK_APPLE) {
-        animal.energy = Math.min(profile.maxEnergy * 1.2, animal.energy + profile.foodGain);
-        animal.hunger = Math.max(0, animal.hunger - 0.75);
-        animal.thirst = Math.max(0, animal.thirst - 0.28);
-        animal.health = Math.min(animal.maxHealth, animal.health + 6);
-      }
-    }
+function renderAnimalInspector() {
+  const record = lineageRecords.get(inspectedAnimalId);
+  if (!record) {
+    closeAnimalInspector();
+    return;
+  }
+  const animal = animalsById.get(inspectedAnimalId);
+  const profile = ANIMAL_TYPES[record.type];
+  inspectorTitleEl.textContent = `${profile.name} ${record.id}`;
+
+  const vitals = [
+    ['Type', profile.name],
+    ['Generation', record.generation],
+    ['Born', `Sim ${Math.floor(record.bornAt)}s`],
+  ];
+  if (animal) {
+    vitals.push(
+      ['Age', `${animal.age.toFixed(1)}s`],
+      ['Status', describeAnimalCondition(animal)?.label ?? animal.goal ?? 'wandering'],
+      ['Energy', `${animal.energy.toFixed(1)} / ${profile.maxEnergy}`],
+      ['Health', `${animal.health.toFixed(1)} / ${animal.maxHealth}`],
+      ['Hunger', `${animal.hunger.toFixed(2)} / ${animal.maxHunger}`],
+      ['Thirst', `${animal.thirst.toFixed(2)} / ${animal.maxThirst}`],
+      ['Weight', animal.weight.toFixed(2)],
+      ['Radius', animal.radius.toFixed(3)],
+    );
+  } else {
+    vitals.push(['Died', `Sim ${Math.floor(record.diedAt)}s (${record.deathCause})`]);
+  }
+  inspectorVitalsEl.innerHTML = vitals.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('');
+  inspectorNeuronsEl.innerHTML = animal ? animal.neurons.map(formatGene).join('') : '';
 
-    if (animal.energy >= profile.duplicationThreshold && animals.length < MAX_NATURAL_ANIMALS + 20) {
-      duplicateAnimal(animal);
-    }
+  const lineageKey = `${record.id}:${record.diedAt}:${record.childIds.length}`;
+  if (lineageKey !== inspectorLineageKey) {
+    inspectorLineageKey = lineageKey;
+    renderAnimalLineage(record);
+  }
+}
 
-    const animalVisual = animalMeshes.get(animal.id);
-    if (animalVisual) {
-      animalVisual.mesh.position.copy(animal.position);
-      animalVisual.mesh.scale.setScalar(1 + animal.needs.food * 0.1);
-      animalVisual.bars.update(animal, profile);
-      animalVisual.bars.sprite.position.y = animal.radius + 1.45;
-      animalVisual.bars.sprite.quaternion.copy(camera.quaternion);
+function meanOf(list, read) {
+  if (!list.length) return 0;
+  let total = 0;
+  for (const entry of list) total += read(entry);
+  return total / list.length;
+}
+
+function measureGenomeDiversity() {
+  if (animals.length < 2) return 0;
+  let total = 0;
+  for (let gene = 0; gene < BRAIN_GENOME_SIZE; gene += 1) {
+    const mean = meanOf(animals, (animal) => animal.weights[gene]);
+    total += Math.sqrt(meanOf(animals, (animal) => (animal.weights[gene] - mean) ** 2));
+  }
+  return total / BRAIN_GENOME_SIZE;
+}
+
+function recordStatsSample() {
+  statsSamples.push({
+    time: Math.round(simTime),
+    grazers: animals.filter((animal) => animal.type === 'grazer').length,
+    hunters: animals.filter((animal) => animal.type === 'hunter').length,
+    ...statsCounters,
+    meanWeight: meanOf(animals, (animal) => animal.weight),
+    meanRadius: meanOf(animals, (animal) => animal.radius),
+    meanSpeedFactor: meanOf(animals, (animal) => animal.speedFactor),
+    genomeDiversity: measureGenomeDiversity(),
+  });
+  if (statsSamples.length > STATS_SAMPLE_LIMIT) statsSamples.shift();
+  statsCounters = createStatsCounters();
+  statsDirty = true;
+}
+
+function resetStats() {
+  statsSamples = [];
+  statsCounters = createStatsCounters();
+  statsSampleTimer = 0;
+  statsDirty = true;
+}
+
+function renderStatsCharts() {
+  statsChartsEl.innerHTML = '';
+  statsChartContexts.clear();
+  for (const chart of STATS_CHARTS) {
+    const chartCanvas = document.createElement('canvas');
+    chartCanvas.width = STATS_CHART_WIDTH;
+    chartCanvas.height = STATS_CHART_HEIGHT;
+    statsChartsEl.append(chartCanvas);
+    statsChartContexts.set(chart.key, chartCanvas.getContext('2d'));
+  }
+}
+
+function formatStatsValue(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+function drawStatsChart(chart, context) {
+  const series = STATS_SERIES.filter((entry) => entry.chart === chart.key);
+  const top = 18;
+  const bottom = STATS_CHART_HEIGHT - 16;
+  context.clearRect(0, 0, STATS_CHART_WIDTH, STATS_CHART_HEIGHT);
+  context.font = '10px sans-serif';
+  context.fillStyle = '#bfd1e9';
+  context.fillText(chart.label, 6, 12);
+
+  let legendX = 6;
+  for (const entry of series) {
+    context.fillStyle = entry.color;
+    context.fillText(entry.label, legendX, STATS_CHART_HEIGHT - 4);
+    legendX += context.measureText(entry.label).width + 8;
+  }
+  if (!statsSamples.length) return;
+
+  let min = chart.zeroBased ? 0 : Infinity;
+  let max = -Infinity;
+  for (const sample of statsSamples) {
+    for (const entry of series) {
+      min = Math.min(min, sample[entry.key]);
+      max = Math.max(max, sample[entry.key]);
     }
   }
+  if (max - min < 1e-6) max = min + 1;
+
+  const span = Math.max(1, statsSamples.length - 1);
+  for (const entry of series) {
+    context.strokeStyle = entry.color;
+    context.lineWidth = 1.5;
+    context.beginPath();
+    statsSamples.forEach((sample, index) => {
+      const x = 6 + (index / span) * (STATS_CHART_WIDTH - 12);
+      const y = bottom - ((sample[entry.key] - min) / (max - min)) * (bottom - top);
+      if (index === 0) context.moveTo(x, y);
+      else context.lineTo(x, y);
+    });
+    context.stroke();
+  }
 
-  const uniqueRemovals = new Set(toRemove);
-  for (const animal of uniqueRemovals) {
-    if (animals.some((a) => a.id === animal.id)) removeAnimal(animal);
+  context.fillStyle = '#9db0c7';
+  context.textAlign = 'right';
+  context.fillText(formatStatsValue(max), STATS_CHART_WIDTH - 6, 12);
+  context.fillText(formatStatsValue(min), STATS_CHART_WIDTH - 6, bottom);
+  context.textAlign = 'left';
+}
+
+function drawStatsPanel() {
+  statsDirty = false;
+  const latest = statsSamples[statsSamples.length - 1];
+  statsSummaryEl.textContent = latest
+    ? `Sim ${latest.time}s · ${latest.grazers} grazers, ${latest.hunters} hunters · Deaths so far: ${deathCounts.starvation} starved, ${deathCounts.dehydration} thirst, ${deathCounts.predation} eaten, ${deathCounts.oldAge} old age`
+    : `Sampling every ${STATS_SAMPLE_INTERVAL}s of simulation time…`;
+  for (const chart of STATS_CHARTS) {
+    const context = statsChartContexts.get(chart.key);
+    if (context) drawStatsChart(chart, context);
   }
 }
 
-function clearAnimals() {
-  for (const animal of [...animals]) removeAnimal(animal);
+function setStatsPanelOpen(open) {
+  statsPanelEl.classList.toggle('hidden', !open);
+  if (open) drawStatsPanel();
+}
+
+function updateStatsPanel() {
+  if (statsDirty && !statsPanelEl.classList.contains('hidden')) drawStatsPanel();
+}
+
+function exportStatsCsv() {
+  const columns = ['time', ...STATS_SERIES.map((entry) => entry.key)];
+  const rows = statsSamples.map((sample) => columns.map((key) => formatStatsValue(sample[key])).join(','));
+  const url = URL.createObjectURL(new Blob([[columns.join(','), ...rows].join('\n')], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${(currentWorld?.name || 'world').replace(/[^a-z0-9-_]+/gi, '-')}-population.csv`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function updateAnimalInspector(now) {
+  if (!inspectedAnimalId || now - lastInspectorDrawAt < 1000 / INSPECTOR_FPS) return;
+  lastInspectorDrawAt = now;
+  renderAnimalInspector();
 }
 
 function uvRect(x, y, w, h, atlasW = SKIN_ATLAS_SIZE, atlasH = SKIN_ATLAS_SIZE) {
@@ -1257,6 +2406,85 @@ function loadSkinTexture(dataUrl = defaultSkinDataUrl) {
   });
 }
 
+function loadBlockAtlasTexture(dataUrl) {
+  return new Promise((resolve, reject) => {
+    new THREE.TextureLoader().load(dataUrl, (texture) => {
+      texture.magFilter = THREE.NearestFilter;
+      texture.minFilter = THREE.NearestFilter;
+      texture.generateMipmaps = false;
+      texture.colorSpace = THREE.SRGBColorSpace;
+      resolve(texture);
+    }, undefined, () => reject(new Error('Could not read the image')));
+  });
+}
+
+function validateBlockAtlas(texture) {
+  const { width, height } = texture.image;
+  if (width !== height || width % ATLAS_COLUMNS !== 0) {
+    throw new Error(`Atlas must be a square image split into ${ATLAS_COLUMNS}x${ATLAS_COLUMNS} tiles (got ${width}x${height})`);
+  }
+}
+
+function applyBlockAtlas(texture) {
+  if (blockAtlasTexture) blockAtlasTexture.dispose();
+  blockAtlasTexture = texture;
+  chunkShaderUniforms.atlasEdge.value = 0.5 / (texture.image.width / ATLAS_COLUMNS);
+  for (const material of Object.values(materials)) {
+    material.map = texture;
+    material.color.set('#ffffff');
+    material.needsUpdate = true;
+  }
+}
+
+function loadResourcePack() {
+  try {
+    return JSON.parse(localStorage.getItem(RESOURCE_PACK_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+async function refreshBlockAtlas() {
+  const pack = loadResourcePack();
+  if (pack?.dataUrl) {
+    try {
+      const texture = await loadBlockAtlasTexture(pack.dataUrl);
+      validateBlockAtlas(texture);
+      applyBlockAtlas(texture);
+      resourcePackStatusEl.textContent = `Using resource pack "${pack.name}".`;
+      return;
+    } catch (error) {
+      resourcePackStatusEl.textContent = `Resource pack "${pack.name}" could not be used: ${error.message}`;
+    }
+  } else {
+    resourcePackStatusEl.textContent = 'Using the default block atlas.';
+  }
+  try {
+    applyBlockAtlas(await loadBlockAtlasTexture(defaultBlockAtlasDataUrl));
+  } catch (error) {
+    resourcePackStatusEl.textContent = `The default block atlas could not be loaded: ${error.message}`;
+  }
+}
+
+async function installResourcePack(file) {
+  try {
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.addEventListener('load', () => resolve(reader.result));
+      reader.addEventListener('error', () => reject(reader.error));
+      reader.readAsDataURL(file);
+    });
+    const texture = await loadBlockAtlasTexture(dataUrl);
+    validateBlockAtlas(texture);
+    texture.dispose();
+    localStorage.setItem(RESOURCE_PACK_KEY, JSON.stringify({ name: file.name, dataUrl }));
+  } catch (error) {
+    resourcePackStatusEl.textContent = `Resource pack "${file.name}" was not loaded: ${error.message}`;
+    return;
+  }
+  await refreshBlockAtlas();
+}
+
 const playerVisualRoot = new THREE.Group();
 world.add(playerVisualRoot);
 
@@ -1267,6 +2495,13 @@ const hitboxMesh = new THREE.Mesh(
 hitboxMesh.visible = false;
 playerVisualRoot.add(hitboxMesh);
 
+const blockHighlightMesh = new THREE.LineSegments(
+  new THREE.EdgesGeometry(new THREE.BoxGeometry(1.004, 1.004, 1.004)),
+  new THREE.LineBasicMaterial({ color: '#10141a' }),
+);
+blockHighlightMesh.visible = false;
+world.add(blockHighlightMesh);
+
 let playerVisualMesh = null;
 async function refreshPlayerSkin() {
   const texture = await loadSkinTexture(defaultSkinDataUrl);
@@ -1300,13 +2535,9 @@ function updateViewCamera() {
 }
 
 function groundLevelAt(x, z) {
-  const tx = THREE.MathUtils.clamp(Math.round(x), 0, WORLD_SIZE - 1);
-  const tz = THREE.MathUtils.clamp(Math.round(z), 0, WORLD_SIZE - 1);
-  return terrainHeight(tx, tz) + 1 + PLAYER_EYE_HEIGHT;
-}
-
-function isSolidBlock(type) {
-  return type !== BLOCK_AIR && type !== BLOCK_WATER;
+  const tx = clampToWorld(worldGen, Math.floor(x));
+  const tz = clampToWorld(worldGen, Math.floor(z));
+  return columnSurfaceY(tx, tz) + PLAYER_EYE_HEIGHT;
 }
 
 function getPlayerBounds(position = camera.position) {
@@ -1321,6 +2552,10 @@ function getPlayerBounds(position = camera.position) {
   };
 }
 
+function boundsOverlapCell(bounds, x, y, z) {
+  return bounds.minX < x + 1 && bounds.maxX > x && bounds.minY < y + 1 && bounds.maxY > y && bounds.minZ < z + 1 && bounds.maxZ > z;
+}
+
 function hasSolidCollision(position = camera.position) {
   const bounds = getPlayerBounds(position);
   const minX = Math.floor(bounds.minX);
@@ -1333,7 +2568,7 @@ function hasSolidCollision(position = camera.position) {
   for (let y = minY; y <= maxY; y += 1) {
     for (let z = minZ; z <= maxZ; z += 1) {
       for (let x = minX; x <= maxX; x += 1) {
-        if (isSolidBlock(getVoxelTypeAt(x, y, z))) return true;
+        if (isSolidBlock(getVoxelTypeAt(worldGen, x, y, z))) return true;
       }
     }
   }
@@ -1364,6 +2599,93 @@ function isPlayerGrounded() {
   return hasSolidCollision(probe);
 }
 
+function raycastVoxel(origin, direction, maxDistance) {
+  let x = Math.floor(origin.x);
+  let y = Math.floor(origin.y);
+  let z = Math.floor(origin.z);
+  const stepX = Math.sign(direction.x);
+  const stepY = Math.sign(direction.y);
+  const stepZ = Math.sign(direction.z);
+  const deltaX = stepX ? Math.abs(1 / direction.x) : Infinity;
+  const deltaY = stepY ? Math.abs(1 / direction.y) : Infinity;
+  const deltaZ = stepZ ? Math.abs(1 / direction.z) : Infinity;
+  let maxX = stepX > 0 ? (x + 1 - origin.x) * deltaX : stepX < 0 ? (origin.x - x) * deltaX : Infinity;
+  let maxY = stepY > 0 ? (y + 1 - origin.y) * deltaY : stepY < 0 ? (origin.y - y) * deltaY : Infinity;
+  let maxZ = stepZ > 0 ? (z + 1 - origin.z) * deltaZ : stepZ < 0 ? (origin.z - z) * deltaZ : Infinity;
+  let previous = null;
+  let distance = 0;
+
+  while (distance <= maxDistance) {
+    const type = getVoxelTypeAt(worldGen, x, y, z);
+    if (isSolidBlock(type)) return { x, y, z, type, previous, distance };
+    previous = { x, y, z };
+
+    if (maxX < maxY && maxX < maxZ) {
+      x += stepX;
+      distance = maxX;
+      maxX += deltaX;
+    } else if (maxY < maxZ) {
+      y += stepY;
+      distance = maxY;
+      maxY += deltaY;
+    } else {
+      z += stepZ;
+      distance = maxZ;
+      maxZ += deltaZ;
+    }
+  }
+
+  return null;
+}
+
+function updateBlockTarget() {
+  blockTarget = null;
+  if (worldActive && pointerLocked && !mapOpen) {
+    camera.getWorldDirection(tmpLookDirection);
+    blockTarget = raycastVoxel(camera.position, tmpLookDirection, BLOCK_REACH);
+  }
+  blockHighlightMesh.visible = !!blockTarget;
+  if (blockTarget) blockHighlightMesh.position.set(blockTarget.x + 0.5, blockTarget.y + 0.5, blockTarget.z + 0.5);
+}
+
+function isEditableVoxel(x, y, z) {
+  return isColumnInWorld(worldGen, x, z) && y >= 1 && y <= MAX_HEIGHT;
+}
+
+function setVoxelEdit(wx, y, wz, type) {
+  const { key, entries } = applyVoxelEdit(worldGen, wx, y, wz, type);
+  nearestWaterCache.clear();
+  animalVoxelCache.clear();
+  chunkManager.syncChunkEdits(key, entries);
+  pendingWorldEdits.set(key, entries);
+  if (!worldEditSaveTimer) worldEditSaveTimer = setTimeout(flushWorldEdits, WORLD_EDIT_SAVE_DELAY);
+}
+
+function breakTargetBlock() {
+  if (!blockTarget || !isEditableVoxel(blockTarget.x, blockTarget.y, blockTarget.z)) return;
+  const { x, y, z } = blockTarget;
+  setVoxelEdit(x, y, z, BLOCKS.air);
+  if (isCrossBlock(getVoxelTypeAt(worldGen, x, y + 1, z))) setVoxelEdit(x, y + 1, z, BLOCKS.air);
+  chunkManager.rebuildChunksAtVoxel(x, z);
+  updateBlockTarget();
+}
+
+function placeSelectedBlock() {
+  const cell = blockTarget?.previous;
+  if (!cell || !isEditableVoxel(cell.x, cell.y, cell.z)) return;
+  const type = PLACEABLE_BLOCK_TYPES[selectedBlockIndex];
+  if (isSolidBlock(type) && boundsOverlapCell(getPlayerBounds(), cell.x, cell.y, cell.z)) return;
+  setVoxelEdit(cell.x, cell.y, cell.z, type);
+  chunkManager.rebuildChunksAtVoxel(cell.x, cell.z);
+  updateBlockTarget();
+}
+
+function setSelectedBlock(index) {
+  const count = PLACEABLE_BLOCK_TYPES.length;
+  selectedBlockIndex = ((index % count) + count) % count;
+  setModeStatus();
+}
+
 function closeMapContextMenu() {
   mapContextMenuEl.classList.add('hidden');
   mapContextMenuEl.innerHTML = '';
@@ -1377,46 +2699,46 @@ function createScratchCanvas(size) {
   return scratch;
 }
 
-function sampleTerrainColorAtWorld(x, z) {
-  const h = terrainHeight(x, z);
-  const water = waterHeight(x, z);
-  const biome = biomeAt(x, z);
-
-  if (water >= h) return '#346fba';
-  if (h > activeWorldGenProfile.oceanLevel + 9) return '#596675';
-  if (biome === BIOME_SNOW) return '#f4f9ff';
-  if (biome === BIOME_DESERT) return '#dcbf72';
-  if (h > activeWorldGenProfile.oceanLevel + 4) return '#59984a';
-  if (hasWaterInRadiusCached(x, z, activeWorldGenProfile.sandWaterRadius)) return '#d1bf88';
-  return '#4f8f3e';
-}
-
-function buildStaticMapLayer(size) {
-  const layerCanvas = createScratchCanvas(size);
+function buildStaticMapLayer(generator, region, step = 1) {
+  const layerCanvas = createScratchCanvas(region.span);
   const layerCtx = layerCanvas.getContext('2d');
   if (!layerCtx) return null;
 
-  const blockSize = 1;
-  for (let pz = 0; pz < size; pz += blockSize) {
-    for (let px = 0; px < size; px += blockSize) {
-      const worldX = THREE.MathUtils.clamp(Math.floor((px / size) * WORLD_SIZE), 0, WORLD_SIZE - 1);
-      const worldZ = THREE.MathUtils.clamp(Math.floor((pz / size) * WORLD_SIZE), 0, WORLD_SIZE - 1);
-      layerCtx.fillStyle = sampleTerrainColorAtWorld(worldX, worldZ);
-      layerCtx.fillRect(px, pz, blockSize, blockSize);
+  for (let pz = 0; pz < region.span; pz += step) {
+    for (let px = 0; px < region.span; px += step) {
+      const worldX = region.minX + px;
+      const worldZ = region.minZ + pz;
+      layerCtx.fillStyle = isColumnInWorld(generator, worldX, worldZ) ? sampleTerrainColorAtWorld(generator, worldX, worldZ) : '#10151d';
+      layerCtx.fillRect(px, pz, step, step);
     }
   }
 
   return layerCanvas;
 }
 
-function rebuildMapStaticLayers() {
-  mapStaticLayerMini = buildStaticMapLayer(miniMapCanvas.width);
-  mapStaticLayerFull = buildStaticMapLayer(fullMapCanvas.width);
+function targetMapRegion() {
+  if (!isEndlessWorld(worldGen) && worldGen.worldSize <= MAP_WINDOW_SIZE) return { minX: 0, minZ: 0, span: worldGen.worldSize };
+  const step = MAP_WINDOW_SIZE / 4;
+  let minX = Math.round(camera.position.x / step) * step - MAP_WINDOW_SIZE / 2;
+  let minZ = Math.round(camera.position.z / step) * step - MAP_WINDOW_SIZE / 2;
+  if (!isEndlessWorld(worldGen)) {
+    minX = THREE.MathUtils.clamp(minX, 0, worldGen.worldSize - MAP_WINDOW_SIZE);
+    minZ = THREE.MathUtils.clamp(minZ, 0, worldGen.worldSize - MAP_WINDOW_SIZE);
+  }
+  return { minX, minZ, span: MAP_WINDOW_SIZE };
+}
+
+function refreshMapRegion(force = false) {
+  const next = targetMapRegion();
+  if (!force && next.minX === mapRegion.minX && next.minZ === mapRegion.minZ && next.span === mapRegion.span) return;
+  mapRegion = next;
+  mapStaticLayer = buildStaticMapLayer(worldGen, mapRegion);
+  mapStructures = structuresInArea(worldGen, mapRegion.minX, mapRegion.minZ, mapRegion.minX + mapRegion.span - 1, mapRegion.minZ + mapRegion.span - 1);
 }
 
 function worldToMapPixel(x, z, size) {
-  const px = (THREE.MathUtils.clamp(x, 0, WORLD_SIZE) / WORLD_SIZE) * size;
-  const pz = (THREE.MathUtils.clamp(z, 0, WORLD_SIZE) / WORLD_SIZE) * size;
+  const px = (THREE.MathUtils.clamp(x - mapRegion.minX, 0, mapRegion.span) / mapRegion.span) * size;
+  const pz = (THREE.MathUtils.clamp(z - mapRegion.minZ, 0, mapRegion.span) / mapRegion.span) * size;
   return { px, pz };
 }
 
@@ -1424,18 +2746,33 @@ function mapPixelToWorld(event, targetCanvas) {
   const rect = targetCanvas.getBoundingClientRect();
   const nx = (event.clientX - rect.left) / rect.width;
   const nz = (event.clientY - rect.top) / rect.height;
-  const x = THREE.MathUtils.clamp(nx * WORLD_SIZE, 0, WORLD_SIZE - 1);
-  const z = THREE.MathUtils.clamp(nz * WORLD_SIZE, 0, WORLD_SIZE - 1);
+  const x = mapRegion.minX + THREE.MathUtils.clamp(nx * mapRegion.span, 0, mapRegion.span - 1);
+  const z = mapRegion.minZ + THREE.MathUtils.clamp(nz * mapRegion.span, 0, mapRegion.span - 1);
   return { x, z };
 }
 
 function drawMapToCanvas(ctx, targetCanvas, scale = 1) {
   if (!ctx) return;
   const size = targetCanvas.width;
-  const staticLayer = targetCanvas === fullMapCanvas ? mapStaticLayerFull : mapStaticLayerMini;
-
   ctx.clearRect(0, 0, size, size);
-  if (staticLayer) ctx.drawImage(staticLayer, 0, 0, size, size);
+  ctx.imageSmoothingEnabled = false;
+  if (mapStaticLayer) ctx.drawImage(mapStaticLayer, 0, 0, size, size);
+
+  for (const structure of mapStructures) {
+    const pt = worldToMapPixel(structure.x, structure.z, size);
+    const radius = Math.max(3, 4 * scale);
+    ctx.fillStyle = structure.iconColor;
+    ctx.strokeStyle = '#1b1f27';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(pt.px, pt.pz - radius);
+    ctx.lineTo(pt.px + radius, pt.pz);
+    ctx.lineTo(pt.px, pt.pz + radius);
+    ctx.lineTo(pt.px - radius, pt.pz);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
 
   if (currentWorld) {
     for (const pin of ensureWorldPins(currentWorld)) {
@@ -1492,6 +2829,7 @@ function drawMapToCanvas(ctx, targetCanvas, scale = 1) {
 
 function drawMaps() {
   if (!worldActive) return;
+  refreshMapRegion();
   const now = performance.now();
   if (now - lastMiniMapDrawAt >= 1000 / MINI_MAP_FPS) {
     drawMapToCanvas(miniMapCtx, miniMapCanvas, 0.7);
@@ -1521,6 +2859,39 @@ function tryGetPinAt(x, z) {
   return closest;
 }
 
+function tryGetStructureAt(x, z) {
+  let closest = null;
+  let closestDist = Infinity;
+  for (const structure of mapStructures) {
+    const dist = Math.hypot(structure.x - x, structure.z - z);
+    if (dist < PIN_CLICK_RADIUS_WORLD && dist < closestDist) {
+      closest = structure;
+      closestDist = dist;
+    }
+  }
+  return closest;
+}
+
+function pinStructure(structure) {
+  updateCurrentWorld((worldData) => {
+    const pins = ensureWorldPins(worldData);
+    if (pins.some((pin) => pin.structureId === structure.id)) return;
+    pins.push({ id: `s-${structure.id}`, name: structure.name, x: structure.x, z: structure.z, structureId: structure.id });
+  });
+}
+
+function discoverNearbyStructures(now) {
+  if (!options.autoPinStructures || now - lastStructureDiscoveryAt < STRUCTURE_DISCOVERY_INTERVAL) return;
+  lastStructureDiscoveryAt = now;
+  const { x, z } = camera.position;
+  const radius = STRUCTURE_DISCOVERY_RADIUS;
+  const pinned = new Set(ensureWorldPins(currentWorld).map((pin) => pin.structureId));
+  for (const structure of structuresInArea(worldGen, x - radius, z - radius, x + radius, z + radius)) {
+    if (pinned.has(structure.id) || Math.hypot(structure.x - x, structure.z - z) > radius) continue;
+    pinStructure(structure);
+  }
+}
+
 function teleportToWorldPoint(x, z) {
   camera.position.x = x;
   camera.position.z = z;
@@ -1538,7 +2909,24 @@ function setModeStatus() {
   }
 
   const travelMode = flyMode ? 'Fly ON' : 'Fly OFF';
-  statusEl.textContent = `World: ${currentWorld.name} | ${travelMode} | First Person | Time ${timeSpeed}x | Animals ${animals.length} | Press M for map`;
+  const blockName = getBlock(PLACEABLE_BLOCK_TYPES[selectedBlockIndex]).name;
+  const biomeName = getBiome(biomeAt(worldGen, Math.floor(camera.position.x), Math.floor(camera.position.z))).name;
+  statusEl.textContent = `World: ${currentWorld.name} | ${biomeName} | ${travelMode} | First Person | Block ${blockName} | Time ${describeSimSpeed()} | Sim ${Math.floor(simTime)}s | Animals ${animals.length} | Deaths: ${deathCounts.starvation} starved, ${deathCounts.dehydration} thirst | Press M for map`;
+}
+
+function updateMeshStats() {
+  const { triangles, naiveTriangles } = chunkManager.stats;
+  const saved = naiveTriangles ? Math.round((1 - triangles / naiveTriangles) * 100) : 0;
+  const failed = chunkManager.failedBuilds.size ? ` | Failed chunks ${chunkManager.failedBuilds.size}, retrying` : '';
+  const stopped = chunkManager.workers.filter((entry) => entry.stopped).length;
+  const crashes = chunkManager.workerCrashes
+    ? ` | Chunk worker crashes ${chunkManager.workerCrashes}${stopped ? `, ${stopped} of ${chunkManager.workers.length} workers stopped` : ''}`
+    : '';
+  const failedTiles = terrainLod.failedBuilds.size ? ` | Failed terrain tiles ${terrainLod.failedBuilds.size}, retrying` : '';
+  const lodCrashes = terrainLod.workerCrashes
+    ? ` | Terrain worker crashes ${terrainLod.workerCrashes}${terrainLod.workerStopped ? ', stopped' : ''}`
+    : '';
+  meshStatsEl.textContent = `Chunks ${chunkManager.chunks.size} | Triangles ${triangles.toLocaleString()} (${naiveTriangles.toLocaleString()} before greedy merge, -${saved}%)${failed}${crashes}${failedTiles}${lodCrashes}`;
 }
 
 function setTimeSpeed(speed) {
@@ -1549,24 +2937,25 @@ function setTimeSpeed(speed) {
   setModeStatus();
 }
 
-function updateDayNight(dt) {
-  dayPhase = (dayPhase + dt * 0.03 * timeSpeed) % 1;
+function updateDayNight() {
   const angle = dayPhase * Math.PI * 2;
   const orbitRadius = 150;
   const sx = Math.cos(angle) * orbitRadius;
   const sy = Math.sin(angle) * orbitRadius;
 
   sun.position.set(sx, sy, -70);
-  sunVisual.position.copy(sun.position);
-  moonVisual.position.set(-sx, -sy, 70);
+  sunVisual.position.set(camera.position.x + sx, sy, camera.position.z - 70);
+  moonVisual.position.set(camera.position.x - sx, -sy, camera.position.z + 70);
 
   const daylight = THREE.MathUtils.clamp((sy + 25) / 140, 0.1, 1);
-  sun.intensity = 0.25 + daylight * 1.0;
-  hemiLight.intensity = 0.2 + daylight * 0.9;
+  sun.intensity = THREE.MathUtils.clamp(sy / 40, 0, 1) * 1.25;
+  hemiLight.intensity = MOONLIGHT_INTENSITY + daylight * 0.9;
+  chunkShaderUniforms.blockLightStrength.value = 1.1 - daylight * 0.75;
 
   const dayColor = new THREE.Color('#87b9ff');
   const duskColor = new THREE.Color('#1d2747');
   scene.background = duskColor.clone().lerp(dayColor, daylight);
+  scene.fog.color.copy(scene.background);
 }
 
 function moveCamera(dt) {
@@ -1604,13 +2993,20 @@ function moveCamera(dt) {
       verticalVelocity = 0;
     }
 
-    const groundLevel = groundLevelAt(camera.position.x, camera.position.z);
-    if (!hasSolidCollision() && camera.position.y < groundLevel) camera.position.y = groundLevel;
+    if (!isColumnInWorld(worldGen, Math.floor(camera.position.x), Math.floor(camera.position.z))) {
+      const groundLevel = groundLevelAt(camera.position.x, camera.position.z);
+      if (camera.position.y < groundLevel) {
+        camera.position.y = groundLevel;
+        verticalVelocity = 0;
+      }
+    }
   }
 
-  camera.position.x = THREE.MathUtils.clamp(camera.position.x, -20, WORLD_SIZE + 20);
+  if (!isEndlessWorld(worldGen)) {
+    camera.position.x = THREE.MathUtils.clamp(camera.position.x, -20, worldGen.worldSize + 20);
+    camera.position.z = THREE.MathUtils.clamp(camera.position.z, -20, worldGen.worldSize + 20);
+  }
   camera.position.y = THREE.MathUtils.clamp(camera.position.y, 3, 200);
-  camera.position.z = THREE.MathUtils.clamp(camera.position.z, -20, WORLD_SIZE + 20);
 
   cameraEuler.set(pitch, yaw, 0);
   camera.quaternion.setFromEuler(cameraEuler);
@@ -1627,6 +3023,8 @@ function saveCurrentWorldMeta() {
 }
 
 function enterHomeMenu() {
+  flushWorldEdits();
+  saveEcosystem();
   worldActive = false;
   homeMenuEl.classList.remove('hidden');
   worldHudEl.classList.add('hidden');
@@ -1634,10 +3032,14 @@ function enterHomeMenu() {
   setMapOpen(false);
   if (document.pointerLockElement) document.exitPointerLock();
   clearAnimals();
+  setStatsPanelOpen(false);
+  updateBlockTarget();
   setModeStatus();
 }
 
-function startWorld(worldData) {
+async function startWorld(worldData) {
+  const ecosystem = await loadEcosystem(worldData.id);
+  if (worldActive) return;
   currentWorld = worldData;
   ensureWorldPins(currentWorld);
   worldTitleEl.textContent = `World: ${worldData.name}`;
@@ -1646,18 +3048,33 @@ function startWorld(worldData) {
   worldHudEl.classList.remove('hidden');
   miniMapEl.classList.remove('hidden');
 
-  setWorldSeed(worldData.seed);
-  activeWorldGenProfile = getWorldGenProfile(worldData);
-  resetWorldCaches();
-  rebuildMapStaticLayers();
+  const savedWorld = loadWorldSaves().find((w) => w.id === worldData.id) || worldData;
+  worldGen = createWorldGenerator(worldData.seed, getWorldGenProfile(worldData));
+  loadChunkEdits(worldGen, savedWorld);
+  chunkManager.configure(worldData.seed, worldGen.profile, savedWorld.edits || {});
+  terrainLod.configure(worldData.seed, worldGen.profile);
+  refreshMapRegion(true);
   lastMiniMapDrawAt = 0;
-  chunkManager.clear();
   clearAnimals();
-  naturalSpawnTimer = 0;
-  for (let i = 0; i < 8; i += 1) createAnimal('grazer');
-  for (let i = 0; i < 3; i += 1) createAnimal('hunter');
+  resetStats();
+  lastEcosystemSaveBytes = ecosystem ? estimateEcosystemBytes(ecosystem) : 0;
+  refreshEcosystemStorageFree();
+  lastEcosystemSavedSimTime = ecosystem ? ecosystem.simTime ?? 0 : null;
+  setSaveStatus(null);
+  if (ecosystem) {
+    restoreEcosystem(ecosystem);
+  } else {
+    simRandom = createSeededRandom(hashStringToSeed(`${worldData.seed}:simulation`));
+    deathCounts = createDeathCounts();
+    animalIdCounter = 1;
+    naturalSpawnTimer = 0;
+    simTime = 0;
+    for (let i = 0; i < 8; i += 1) createAnimal('grazer');
+    for (let i = 0; i < 3; i += 1) createAnimal('hunter');
+  }
+  lastEcosystemSaveAt = performance.now();
 
-  camera.position.set(12, 30, 12);
+  camera.position.set(WORLD_SPAWN_POINT.x, WORLD_SPAWN_POINT.y, WORLD_SPAWN_POINT.z);
   yaw = Math.PI * 0.2;
   pitch = -0.2;
   flyMode = !!options.startFlyMode;
@@ -1668,27 +3085,36 @@ function startWorld(worldData) {
   const idx = worlds.findIndex((w) => w.id === worldData.id);
   if (idx >= 0) {
     worlds[idx].lastPlayedAt = Date.now();
-    if (!worlds[idx].generation) worlds[idx].generation = { ...activeWorldGenProfile };
+    const savedGeneration = worlds[idx].generation || {};
+    if (Object.keys(DEFAULT_WORLD_GEN_PROFILE).some((key) => !(key in savedGeneration))) {
+      worlds[idx].generation = { ...worldGen.profile };
+    }
     saveWorldSaves(worlds);
     currentWorld = worlds[idx];
   }
 
+  simEffectiveSpeed = 1;
+  setSimPaused(false);
   setTimeSpeed(1);
   setModeStatus();
 }
 
-function createWorld(name) {
+function describeWorldSize(size) {
+  return size === ENDLESS_WORLD_SIZE ? 'Endless' : `${size}×${size}`;
+}
+
+function createWorld(name, size = DEFAULT_WORLD_SIZE, seed = null, generation = DEFAULT_WORLD_GEN_PROFILE) {
   const trimmed = name.trim() || `World ${new Date().toLocaleDateString()}`;
   const worlds = loadWorldSaves();
   const now = Date.now();
   const worldData = {
     id: `w-${now}-${Math.floor(Math.random() * 10000)}`,
     name: trimmed,
-    seed: hashStringToSeed(`${trimmed}-${now}`),
+    seed: seed ?? hashStringToSeed(`${trimmed}-${now}`),
     createdAt: now,
     lastPlayedAt: now,
     pins: [],
-    generation: { ...DEFAULT_WORLD_GEN_PROFILE },
+    generation: { ...generation, worldSize: size },
   };
   worlds.unshift(worldData);
   saveWorldSaves(worlds);
@@ -1696,6 +3122,75 @@ function createWorld(name) {
   return worldData;
 }
 
+function resolveNewWorldSeed() {
+  const text = newWorldSeedInput.value.trim();
+  if (!text) return randomNewWorldSeed;
+  return /^\d{1,9}$/.test(text) ? Math.max(1, Number(text)) : hashStringToSeed(text);
+}
+
+function rollNewWorldSeed() {
+  randomNewWorldSeed = createRandomSeed();
+  newWorldSeedInput.value = '';
+  newWorldSeedInput.placeholder = `Seed (random: ${randomNewWorldSeed})`;
+}
+
+function worldGenFieldValue(field) {
+  const source = field.group ? newWorldGeneration[field.group] : newWorldGeneration;
+  return source[field.key] ?? 1;
+}
+
+function setWorldGenFieldValue(field, value) {
+  if (field.group) {
+    newWorldGeneration[field.group] = { ...newWorldGeneration[field.group], [field.key]: value };
+  } else {
+    newWorldGeneration[field.key] = value;
+  }
+}
+
+function renderWorldGenFields() {
+  worldGenFieldsEl.innerHTML = '';
+  for (const field of WORLD_GEN_PROFILE_FIELDS) {
+    const label = document.createElement('label');
+    label.className = 'range-option';
+    label.textContent = field.label;
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = String(field.min);
+    input.max = String(field.max);
+    input.step = String(field.step);
+    input.value = String(worldGenFieldValue(field));
+
+    const valueEl = document.createElement('span');
+    valueEl.textContent = input.value;
+    input.addEventListener('input', () => {
+      setWorldGenFieldValue(field, Number(input.value));
+      valueEl.textContent = input.value;
+      scheduleWorldPreview();
+    });
+
+    label.append(input, valueEl);
+    worldGenFieldsEl.append(label);
+  }
+}
+
+function renderWorldPreview() {
+  worldPreviewTimer = 0;
+  if (worldActive || !advancedWorldSettingsEl.open) return;
+  const size = Number(newWorldSizeSelect.value);
+  const region = { minX: 0, minZ: 0, span: size === ENDLESS_WORLD_SIZE ? MAP_WINDOW_SIZE : Math.min(size, MAP_WINDOW_SIZE) };
+  const generator = createWorldGenerator(resolveNewWorldSeed(), { ...newWorldGeneration, worldSize: size });
+  const layer = buildStaticMapLayer(generator, region, Math.max(1, Math.ceil(region.span / WORLD_PREVIEW_SAMPLES)));
+  worldPreviewCtx.clearRect(0, 0, worldPreviewCanvas.width, worldPreviewCanvas.height);
+  worldPreviewCtx.imageSmoothingEnabled = false;
+  if (layer) worldPreviewCtx.drawImage(layer, 0, 0, worldPreviewCanvas.width, worldPreviewCanvas.height);
+}
+
+function scheduleWorldPreview() {
+  clearTimeout(worldPreviewTimer);
+  worldPreviewTimer = setTimeout(renderWorldPreview, WORLD_PREVIEW_DELAY);
+}
+
 function renderWorldList() {
   const worlds = loadWorldSaves().sort((a, b) => (b.lastPlayedAt || 0) - (a.lastPlayedAt || 0));
   worldListEl.innerHTML = '';
@@ -1712,7 +3207,7 @@ function renderWorldList() {
     card.className = 'world-card';
 
     const meta = document.createElement('div');
-    meta.innerHTML = `<strong>${worldData.name}</strong><br><small>Seed ${worldData.seed}</small>`;
+    meta.innerHTML = `<strong>${worldData.name}</strong><br><small>Seed ${worldData.seed} · ${describeWorldSize(getWorldGenProfile(worldData).worldSize)}</small>`;
 
     const worldActions = document.createElement('div');
     worldActions.className = 'world-actions';
@@ -1750,14 +3245,48 @@ addHunterBtn?.addEventListener('click', () => {
   createAnimal('hunter', randomWorldGroundPoint());
 });
 
+addHerdBtn.addEventListener('click', () => {
+  if (!worldActive) return;
+  spawnAnimalHerd(ANIMAL_HERD_SIZE);
+});
+
+toggleStatsBtn.addEventListener('click', () => setStatsPanelOpen(statsPanelEl.classList.contains('hidden')));
+closeStatsBtn.addEventListener('click', () => setStatsPanelOpen(false));
+exportStatsBtn.addEventListener('click', exportStatsCsv);
+
 optionStartFly.addEventListener('change', () => {
   options.startFlyMode = optionStartFly.checked;
   saveOptions(options);
 });
 
+optionAutoPinStructures.addEventListener('change', () => {
+  options.autoPinStructures = optionAutoPinStructures.checked;
+  saveOptions(options);
+});
+
+optionViewDistance.addEventListener('input', () => {
+  applyViewDistance(Number(optionViewDistance.value));
+  options.viewDistance = chunkManager.viewDistance;
+  saveOptions(options);
+});
+
+resourcePackInput.addEventListener('change', () => {
+  const [file] = resourcePackInput.files;
+  resourcePackInput.value = '';
+  if (file) installResourcePack(file);
+});
+
+resetResourcePackBtn.addEventListener('click', () => {
+  localStorage.removeItem(RESOURCE_PACK_KEY);
+  refreshBlockAtlas();
+});
+
+downloadAtlasLink.href = defaultBlockAtlasDataUrl;
+
 createWorldBtn.addEventListener('click', () => {
-  const newWorld = createWorld(newWorldNameInput.value);
+  const newWorld = createWorld(newWorldNameInput.value, Number(newWorldSizeSelect.value), resolveNewWorldSeed(), newWorldGeneration);
   newWorldNameInput.value = '';
+  rollNewWorldSeed();
   startWorld(newWorld);
 });
 
@@ -1765,6 +3294,21 @@ newWorldNameInput.addEventListener('keydown', (event) => {
   if (event.key === 'Enter') createWorldBtn.click();
 });
 
+advancedWorldSettingsEl.addEventListener('toggle', scheduleWorldPreview);
+newWorldSizeSelect.addEventListener('change', scheduleWorldPreview);
+newWorldSeedInput.addEventListener('input', scheduleWorldPreview);
+
+randomizeSeedBtn.addEventListener('click', () => {
+  rollNewWorldSeed();
+  scheduleWorldPreview();
+});
+
+resetWorldGenBtn.addEventListener('click', () => {
+  newWorldGeneration = { ...DEFAULT_WORLD_GEN_PROFILE };
+  renderWorldGenFields();
+  scheduleWorldPreview();
+});
+
 backHomeBtn.addEventListener('click', () => {
   saveCurrentWorldMeta();
   enterHomeMenu();
@@ -1775,7 +3319,16 @@ timeSpeedButtons.forEach((button) => {
   button.addEventListener('click', () => setTimeSpeed(Number(button.dataset.timeSpeed)));
 });
 
+pauseSimBtn.addEventListener('click', () => setSimPaused(!simPaused));
+
+stepSimBtn.addEventListener('click', () => {
+  if (!worldActive || !simPaused) return;
+  stepSimulation();
+  setModeStatus();
+});
+
 closeMapBtn.addEventListener('click', () => setMapOpen(false));
+closeInspectorBtn.addEventListener('click', closeAnimalInspector);
 
 fullMapOverlayEl.addEventListener('click', (event) => {
   if (event.target === fullMapOverlayEl) setMapOpen(false);
@@ -1796,6 +3349,7 @@ fullMapCanvas.addEventListener('contextmenu', (event) => {
   const { x, z } = mapPixelToWorld(event, fullMapCanvas);
   mapContextPoint = { x, z };
   const clickedPin = tryGetPinAt(x, z);
+  const clickedStructure = tryGetStructureAt(x, z);
   mapContextMenuEl.innerHTML = '';
 
   const addPinBtn = document.createElement('button');
@@ -1818,6 +3372,18 @@ fullMapCanvas.addEventListener('contextmenu', (event) => {
   });
   mapContextMenuEl.append(addPinBtn);
 
+  if (clickedStructure && !ensureWorldPins(currentWorld).some((pin) => pin.structureId === clickedStructure.id)) {
+    const pinStructureBtn = document.createElement('button');
+    pinStructureBtn.type = 'button';
+    pinStructureBtn.textContent = `Pin ${clickedStructure.name}`;
+    pinStructureBtn.addEventListener('click', () => {
+      pinStructure(clickedStructure);
+      closeMapContextMenu();
+      drawMaps();
+    });
+    mapContextMenuEl.append(pinStructureBtn);
+  }
+
   if (clickedPin) {
     const removePinBtn = document.createElement('button');
     removePinBtn.type = 'button';
@@ -1862,6 +3428,12 @@ window.addEventListener('keydown', (event) => {
     return;
   }
 
+  if (/^Digit[1-9]$/.test(event.code) && !mapOpen) {
+    const index = Number(event.code.slice(5)) - 1;
+    if (index < PLACEABLE_BLOCK_TYPES.length) setSelectedBlock(index);
+    return;
+  }
+
   if (mapOpen) return;
   activeKeys.add(event.code);
 
@@ -1891,13 +3463,43 @@ window.addEventListener('keyup', (event) => {
   activeKeys.delete(event.code);
 });
 
-canvas.addEventListener('click', async () => {
+canvas.addEventListener('click', async (event) => {
   if (!worldActive || mapOpen || document.pointerLockElement) return;
+  const rect = canvas.getBoundingClientRect();
+  const picked = pickAnimalAt(((event.clientX - rect.left) / rect.width) * 2 - 1, -((event.clientY - rect.top) / rect.height) * 2 + 1);
+  if (picked?.animal) {
+    openAnimalInspector(picked.animal.id);
+    return;
+  }
   await canvas.requestPointerLock({ unadjustedMovement: true }).catch(() => {});
 });
 
+canvas.addEventListener('mousedown', (event) => {
+  if (!pointerLocked || !worldActive || mapOpen) return;
+  if (event.button === 0) {
+    const picked = pickAnimalAt(0, 0);
+    if (picked?.animal && (!blockTarget || picked.distance < blockTarget.distance)) {
+      openAnimalInspector(picked.animal.id);
+      return;
+    }
+    breakTargetBlock();
+  }
+  if (event.button === 2) placeSelectedBlock();
+});
+
+canvas.addEventListener('contextmenu', (event) => {
+  event.preventDefault();
+});
+
+canvas.addEventListener('wheel', (event) => {
+  if (!pointerLocked || !worldActive) return;
+  setSelectedBlock(selectedBlockIndex + Math.sign(event.deltaY));
+}, { passive: true });
+
 document.addEventListener('pointerlockchange', () => {
   pointerLocked = document.pointerLockElement === canvas;
+  crosshairEl.classList.toggle('hidden', !pointerLocked);
+  updateBlockTarget();
   setModeStatus();
 });
 
@@ -1908,6 +3510,17 @@ document.addEventListener('mousemove', (event) => {
   pitch = THREE.MathUtils.clamp(pitch, -1.52, 1.52);
 });
 
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState !== 'hidden') return;
+  flushWorldEdits();
+  saveEcosystem();
+});
+
+window.addEventListener('pagehide', () => {
+  flushWorldEdits();
+  saveEcosystem();
+});
+
 window.addEventListener('resize', () => {
   const aspect = window.innerWidth / window.innerHeight;
   camera.aspect = aspect;
@@ -1916,21 +3529,33 @@ window.addEventListener('resize', () => {
 });
 
 renderWorldList();
+renderWorldGenFields();
+renderStatsCharts();
+rollNewWorldSeed();
 enterHomeMenu();
 
 let lastTime = performance.now();
 function tick(now) {
-  const dt = Math.min(0.05, (now - lastTime) / 1000);
+  const frameDt = Math.min(SIM_MAX_FRAME_DT, (now - lastTime) / 1000);
+  const dt = Math.min(0.05, frameDt);
   lastTime = now;
 
-  updateDayNight(dt);
+  advanceSimulation(frameDt);
+  updateDayNight();
   moveCamera(dt);
-  updateAnimals(dt * timeSpeed);
+  syncAnimalVisuals();
   updatePlayerVisual();
   const activeCamera = updateViewCamera();
   if (worldActive) {
     chunkManager.update(activeCamera);
+    terrainLod.update(activeCamera, chunkManager);
+    updateBlockTarget();
     setModeStatus();
+    updateMeshStats();
+    discoverNearbyStructures(now);
+    updateAnimalInspector(now);
+    updateStatsPanel();
+    autosaveEcosystem(now);
     drawMaps();
   }
   renderer.render(scene, activeCamera);
@@ -0,0 +1,169 @@
+import { BLOCKS } from './blocks.js';
+import { BIOMES } from './biomes.js';
+
+const TEMPLATE_PALETTE = Object.freeze({
+  '.': 'air',
+  C: 'cobblestone',
+  M: 'mossy_cobblestone',
+  P: 'planks',
+  W: 'wood',
+  S: 'sandstone',
+  G: 'glowstone',
+  D: 'dirt',
+  X: 'crystal',
+  T: 'tall_grass',
+  w: 'water',
+});
+
+const TEMPLATE_DEFINITIONS = [
+  {
+    key: 'house',
+    foundation: 'cobblestone',
+    layers: [
+      ['CCCCC', 'CCCCC', 'CCCCC', 'CCCCC', 'CCCCC'],
+      ['WPPPW', 'P...P', 'P...P', 'P...P', 'WP.PW'],
+      ['WP.PW', 'P...P', '.....', 'P...P', 'WP.PW'],
+      ['WPPPW', 'P...P', 'P...P', 'P...P', 'WPPPW'],
+      ['PPPPP', 'PPPPP', 'PPGPP', 'PPPPP', 'PPPPP'],
+      ['     ', ' PPP ', ' PPP ', ' PPP ', '     '],
+    ],
+  },
+  {
+    key: 'well',
+    foundation: 'cobblestone',
+    layers: [
+      ['CCC', 'CwC', 'CCC'],
+      ['W.W', '...', 'W.W'],
+      ['W.W', '...', 'W.W'],
+      ['PPP', 'PGP', 'PPP'],
+    ],
+  },
+  {
+    key: 'lamp',
+    foundation: 'cobblestone',
+    layers: [['C'], ['W'], ['W'], ['G']],
+  },
+  {
+    key: 'farm',
+    foundation: 'dirt',
+    layers: [
+      ['WWWWW', 'DDDDD', 'wwwww', 'DDDDD', 'WWWWW'],
+      ['.....', 'TTTTT', '.....', 'TTTTT', '.....'],
+    ],
+  },
+  {
+    key: 'ruin',
+    decay: 0.3,
+    layers: [
+      ['SSSSSSS', 'SSSSSSS', 'SSSSSSS', 'SSSXSSS', 'SSSSSSS', 'SSSSSSS', 'SSSSSSS'],
+      ['SSS.SSS', 'S.....S', 'S.....S', '.......', 'S.....S', 'S.....S', 'SSS.SSS'],
+      ['SS..SSS', 'S.....S', '.......', '.......', '.......', 'S.....S', 'SSS..SS'],
+      ['S....SS', '.......', '.......', '.......', '.......', '.......', 'S.....S'],
+      ['S     S', '       ', '       ', '       ', '       ', '       ', 'S     S'],
+    ],
+  },
+  {
+    key: 'dungeon',
+    layers: [
+      ['MCMCMCM', 'CMCCMCC', 'MCCMCCM', 'CCMGMCC', 'MCCMCCM', 'CCMCCMC', 'MCMCMCM'],
+      ['CMCMCMC', 'M.....M', 'C.....C', 'M.....M', 'C.....C', 'M.....M', 'CMCMCMC'],
+      ['MCMCMCM', 'C.....C', 'M.....M', 'C..X..C', 'M.....M', 'C.....C', 'MCMCMCM'],
+      ['CMCMCMC', 'M.....M', 'C.....C', 'M.....M', 'C.....C', 'M.....M', 'CMCMCMC'],
+      ['MCMCMCM', 'CMCCMCC', 'MCCMCCM', 'CCMGMCC', 'MCCMCCM', 'CCMCCMC', 'MCMCMCM'],
+    ],
+  },
+];
+
+const STRUCTURE_DEFINITIONS = [
+  {
+    id: 0,
+    key: 'village',
+    name: 'Village',
+    layout: 'village',
+    biomes: ['plains', 'savanna', 'forest'],
+    chance: 0.3,
+    iconColor: '#f2c46b',
+  },
+  {
+    id: 1,
+    key: 'desert_ruin',
+    name: 'Desert Ruin',
+    layout: 'ruin',
+    biomes: ['desert', 'badlands'],
+    chance: 0.6,
+    iconColor: '#e39a55',
+  },
+  {
+    id: 2,
+    key: 'dungeon',
+    name: 'Dungeon',
+    layout: 'dungeon',
+    biomes: null,
+    chance: 0.2,
+    iconColor: '#a78bdb',
+  },
+];
+
+const STRUCTURE_LAYOUTS = Object.freeze(['village', 'ruin', 'dungeon']);
+
+function resolveBlock(key, owner) {
+  if (!(key in BLOCKS)) throw new Error(`Structure "${owner}" uses unknown block "${key}"`);
+  return BLOCKS[key];
+}
+
+function defineTemplate(definition) {
+  const sizeY = definition.layers.length;
+  const sizeZ = definition.layers[0].length;
+  const sizeX = definition.layers[0][0].length;
+  const blocks = new Int16Array(sizeX * sizeY * sizeZ).fill(-1);
+  definition.layers.forEach((rows, y) => {
+    if (rows.length !== sizeZ) throw new Error(`Template "${definition.key}" layer ${y} needs ${sizeZ} rows`);
+    rows.forEach((row, z) => {
+      if (row.length !== sizeX) throw new Error(`Template "${definition.key}" row ${z} of layer ${y} needs ${sizeX} columns`);
+      [...row].forEach((symbol, x) => {
+        if (symbol === ' ') return;
+        if (!(symbol in TEMPLATE_PALETTE)) throw new Error(`Template "${definition.key}" uses unknown symbol "${symbol}"`);
+        blocks[x + z * sizeX + y * sizeX * sizeZ] = resolveBlock(TEMPLATE_PALETTE[symbol], definition.key);
+      });
+    });
+  });
+  return Object.freeze({
+    key: definition.key,
+    sizeX,
+    sizeY,
+    sizeZ,
+    blocks,
+    decay: definition.decay ?? 0,
+    foundation: definition.foundation ? resolveBlock(definition.foundation, definition.key) : null,
+  });
+}
+
+export const STRUCTURE_TEMPLATES = Object.freeze(Object.fromEntries(TEMPLATE_DEFINITIONS.map((definition) => [definition.key, defineTemplate(definition)])));
+
+const structureRegistry = new Map();
+
+function defineStructure(definition) {
+  if (!Number.isInteger(definition.id) || definition.id < 0) throw new Error(`Structure "${definition.key}" needs a non-negative id`);
+  if (structureRegistry.has(definition.id)) throw new Error(`Structure id ${definition.id} is already used`);
+  if (!STRUCTURE_LAYOUTS.includes(definition.layout)) throw new Error(`Structure "${definition.key}" uses unknown layout "${definition.layout}"`);
+  const biomes = definition.biomes && definition.biomes.map((key) => {
+    if (!(key in BIOMES)) throw new Error(`Structure "${definition.key}" uses unknown biome "${key}"`);
+    return BIOMES[key];
+  });
+  const structure = Object.freeze({ ...definition, biomes: biomes && Object.freeze(biomes) });
+  structureRegistry.set(structure.id, structure);
+  return structure;
+}
+
+STRUCTURE_DEFINITIONS.forEach(defineStructure);
+
+export const STRUCTURES = Object.freeze(Object.fromEntries([...structureRegistry.values()].map((structure) => [structure.key, structure.id])));
+export const STRUCTURE_LIST = Object.freeze([...structureRegistry.values()]);
+
+export function getStructure(id) {
+  return structureRegistry.get(id) || null;
+}
+
+export function templateBlockAt(template, x, y, z) {
+  return template.blocks[x + z * template.sizeX + y * template.sizeX * template.sizeZ];
+}
@@ -0,0 +1,96 @@
+// Run with: node --test tests/
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  BRAIN_GENOME_SIZE,
+  BRAIN_HIDDEN_SIZE,
+  BRAIN_INPUTS,
+  BRAIN_INPUT_INDEX,
+  BRAIN_OUTPUTS,
+  BRAIN_OUTPUT_INDEX,
+  createBrainGenome,
+  describeBrainGene,
+  runBrain,
+} from '../brain.js';
+
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+function think(genome, inputValues = {}) {
+  const inputs = BRAIN_INPUTS.map((key) => inputValues[key] ?? 0);
+  const outputs = runBrain(genome, inputs, new Array(BRAIN_HIDDEN_SIZE).fill(0), new Array(BRAIN_OUTPUTS.length).fill(0));
+  return Object.fromEntries(BRAIN_OUTPUTS.map((key, index) => [key, outputs[index]]));
+}
+
+test('genome size matches the hidden, hidden-to-output and direct layers', () => {
+  const inputsWithBias = BRAIN_INPUTS.length + 1;
+  const expected = BRAIN_HIDDEN_SIZE * inputsWithBias + BRAIN_OUTPUTS.length * BRAIN_HIDDEN_SIZE + BRAIN_OUTPUTS.length * inputsWithBias;
+  assert.equal(BRAIN_GENOME_SIZE, expected);
+  assert.equal(createBrainGenome(seededRandom(1)).length, BRAIN_GENOME_SIZE);
+});
+
+test('gene descriptions follow the genome layout', () => {
+  const hiddenOutputOffset = BRAIN_HIDDEN_SIZE * (BRAIN_INPUTS.length + 1);
+  const directOffset = hiddenOutputOffset + BRAIN_OUTPUTS.length * BRAIN_HIDDEN_SIZE;
+  assert.equal(describeBrainGene(0), 'foodProximity → h0');
+  assert.equal(describeBrainGene(BRAIN_INPUTS.length), 'bias → h0');
+  assert.equal(describeBrainGene(BRAIN_INPUTS.length + 1), 'foodProximity → h1');
+  assert.equal(describeBrainGene(hiddenOutputOffset), 'h0 → turn');
+  assert.equal(describeBrainGene(directOffset - 1), `h${BRAIN_HIDDEN_SIZE - 1} → reproduce`);
+  assert.equal(describeBrainGene(directOffset), 'foodProximity → turn');
+  assert.equal(describeBrainGene(BRAIN_GENOME_SIZE - 1), 'bias → reproduce');
+
+  const descriptions = Array.from({ length: BRAIN_GENOME_SIZE }, (_, index) => describeBrainGene(index));
+  assert.equal(new Set(descriptions).size, BRAIN_GENOME_SIZE);
+});
+
+test('direct genes drive the output their description names', () => {
+  for (let index = 0; index < BRAIN_GENOME_SIZE; index += 1) {
+    const [input, output] = describeBrainGene(index).split(' → ');
+    if (!(output in BRAIN_OUTPUT_INDEX) || input.startsWith('h')) continue;
+    const genome = new Array(BRAIN_GENOME_SIZE).fill(0);
+    genome[index] = 10;
+    const outputs = think(genome, input === 'bias' ? {} : { [input]: 1 });
+    for (const key of BRAIN_OUTPUTS) {
+      const neutral = key === 'turn' ? 0 : 0.5;
+      if (key === output) assert.ok(outputs[key] > 0.99, `${describeBrainGene(index)} should saturate ${key}`);
+      else assert.equal(outputs[key], neutral, `${describeBrainGene(index)} should leave ${key} alone`);
+    }
+  }
+});
+
+test('outputs stay in range for random genomes and inputs', () => {
+  const random = seededRandom(7);
+  for (let trial = 0; trial < 200; trial += 1) {
+    const genome = createBrainGenome(random).map((weight) => weight * (1 + random() * 4));
+    const inputValues = Object.fromEntries(BRAIN_INPUTS.map((key) => [key, key.endsWith('Sin') || key.endsWith('Cos') ? random() * 2 - 1 : random()]));
+    const outputs = think(genome, inputValues);
+    assert.ok(outputs.turn >= -1 && outputs.turn <= 1, `turn ${outputs.turn} is outside [-1, 1]`);
+    for (const key of BRAIN_OUTPUTS) {
+      if (key === 'turn') continue;
+      assert.ok(outputs[key] > 0 && outputs[key] < 1, `${key} ${outputs[key]} is outside (0, 1)`);
+    }
+  }
+});
+
+test('instincts make new brains drink when thirsty and flee from predators', () => {
+  for (let seed = 1; seed <= 50; seed += 1) {
+    const genome = createBrainGenome(seededRandom(seed));
+    assert.ok(think(genome, { thirst: 1 }).drink > 0.5, `seed ${seed} does not drink at full thirst`);
+    assert.ok(think(genome, { hunger: 1 }).eat > 0.5, `seed ${seed} does not eat at full hunger`);
+    assert.ok(think(genome, { predatorProximity: 1, predatorCos: 1 }).flee > 0.5, `seed ${seed} does not flee a close predator`);
+    assert.ok(think(genome).flee < 0.5, `seed ${seed} flees with no predator in range`);
+  }
+});
+
+test('input and output indexes match their lists', () => {
+  BRAIN_INPUTS.forEach((key, index) => assert.equal(BRAIN_INPUT_INDEX[key], index));
+  BRAIN_OUTPUTS.forEach((key, index) => assert.equal(BRAIN_OUTPUT_INDEX[key], index));
+});
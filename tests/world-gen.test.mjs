@@ -0,0 +1,101 @@
+// Run with: node --test tests/
+
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { test } from 'node:test';
+
+import { BLOCKS } from '../blocks.js';
+import { ORE_LIST } from '../ores.js';
+import {
+  CHUNK_SIZE,
+  DEFAULT_WORLD_GEN_PROFILE,
+  createWorldGenerator,
+  generateChunkVoxels,
+  getGeneratedVoxelTypeAt,
+  getWorldGenProfile,
+  sampleTerrainColorAtWorld,
+  terrainHeight,
+} from '../world-gen.js';
+
+const GOLDEN_CHUNKS = [
+  { seed: 1, profile: {}, chunk: [0, 0], checksum: '1a3f34a1d8c26bfe567c30980eb64e1d6117b8997c33a0c868f8de2903653b88' },
+  { seed: 1, profile: {}, chunk: [5, 9], checksum: 'e706fc8fd963fba980a07c378a8ead714131ce5d4356d461bf84354aaf477174' },
+  { seed: 123456, profile: {}, chunk: [3, 5], checksum: '584f9922fb807f28a8153485d333ef3ea3135d2bbbfdde3e1e2e25a7d7315531' },
+  { seed: 123456, profile: { worldSize: 0 }, chunk: [-7, 12], checksum: '8950bd80708611d5619f9b85c04587f2b4d3d6e8f7bc396c4411912944f0141b' },
+  { seed: 987654321, profile: { worldSize: 512 }, chunk: [20, 4], checksum: 'd31c48d3e3627a4475d37e90b5f1076221bd8e7390743e8024711b56f4c36ab2' },
+  { seed: 123456, profile: getWorldGenProfile({ generation: { worldSize: 252 } }), chunk: [7, 7], checksum: 'c1461e8bd3a9c1231dcfc003e840ade82a17bfe01b916e6e89b30e586372465b' },
+];
+
+function checksum(voxels) {
+  return createHash('sha256').update(voxels).digest('hex');
+}
+
+for (const { seed, profile, chunk, checksum: expected } of GOLDEN_CHUNKS) {
+  const name = profile.legacyNoise ? 'legacy profile' : JSON.stringify(profile);
+  test(`chunk ${chunk} of seed ${seed} with ${name} matches its golden checksum`, () => {
+    const generator = createWorldGenerator(seed, profile);
+    assert.equal(checksum(generateChunkVoxels(generator, ...chunk)), expected);
+  });
+}
+
+test('generators with the same seed and profile produce identical chunks', () => {
+  const first = createWorldGenerator(42);
+  const second = createWorldGenerator(42);
+  assert.equal(checksum(generateChunkVoxels(first, 2, 3)), checksum(generateChunkVoxels(second, 2, 3)));
+  assert.equal(terrainHeight(first, 40, 57), terrainHeight(second, 40, 57));
+});
+
+test('different seeds produce different terrain', () => {
+  const first = createWorldGenerator(42);
+  const second = createWorldGenerator(43);
+  assert.notEqual(checksum(generateChunkVoxels(first, 2, 3)), checksum(generateChunkVoxels(second, 2, 3)));
+});
+
+test('generators do not disturb each other', () => {
+  const world = createWorldGenerator(7);
+  const before = terrainHeight(world, 100, 100);
+  const other = createWorldGenerator(8);
+  generateChunkVoxels(other, 6, 6);
+  assert.equal(terrainHeight(world, 100, 100), before);
+
+  const interleaved = createWorldGenerator(7);
+  const heights = [];
+  for (let x = 0; x < 64; x += 8) {
+    heights.push(terrainHeight(interleaved, x, 30));
+    terrainHeight(other, x, 30);
+  }
+  assert.deepEqual(heights, Array.from({ length: 8 }, (_, index) => terrainHeight(world, index * 8, 30)));
+});
+
+test('voxel lookups agree with chunk data', () => {
+  const generator = createWorldGenerator(99);
+  const voxels = generateChunkVoxels(generator, 1, 2);
+  const x = CHUNK_SIZE + 5;
+  const z = CHUNK_SIZE * 2 + 11;
+  const h = terrainHeight(generator, x, z);
+  for (const y of [0, h - 1, h, h + 1]) {
+    assert.equal(voxels[5 + 11 * CHUNK_SIZE + y * CHUNK_SIZE * CHUNK_SIZE], getGeneratedVoxelTypeAt(generator, x, y, z));
+  }
+  assert.equal(getGeneratedVoxelTypeAt(generator, x, 0, z), BLOCKS.stone);
+});
+
+test('profile overrides change generation', () => {
+  const oreBlocks = new Set(ORE_LIST.map(({ block }) => block));
+  const countOres = (generator) => generateChunkVoxels(generator, 4, 4).filter((type) => oreBlocks.has(type)).length;
+  const barren = createWorldGenerator(5, { oreAbundance: 0 });
+  assert.ok(countOres(createWorldGenerator(5)) > 0);
+  assert.equal(countOres(barren), 0);
+  assert.equal(barren.profile.caveThreshold, DEFAULT_WORLD_GEN_PROFILE.caveThreshold);
+});
+
+test('legacy worlds keep their original map palette', () => {
+  const palette = new Set(['#346fba', '#596675', '#f4f9ff', '#dcbf72', '#59984a', '#d1bf88', '#4f8f3e']);
+  const generator = createWorldGenerator(123456, getWorldGenProfile({ generation: { worldSize: 252 } }));
+  const colors = new Set();
+  for (let x = 0; x < 252; x += 3) {
+    for (let z = 0; z < 252; z += 3) colors.add(sampleTerrainColorAtWorld(generator, x, z));
+  }
+  for (const color of colors) assert.ok(palette.has(color), `${color} is not in the legacy map palette`);
+  assert.ok(colors.has('#59984a'), 'high plains lost their colour');
+  assert.ok(colors.has('#d1bf88'), 'sand near water lost its colour');
+});
@@ -0,0 +1,74 @@
+import { BLOCKS } from './blocks.js';
+
+const TREE_SHAPES = Object.freeze(['classic', 'broad', 'column', 'conical', 'cactus']);
+
+const TREE_SPECIES_DEFAULTS = Object.freeze({
+  shape: 'classic',
+  trunkBlock: 'wood',
+  leafBlock: 'leaf',
+  fruitBlock: null,
+  trunkHeight: Object.freeze([4, 5]),
+  canopyRadius: 1,
+});
+
+const TREE_SPECIES_DEFINITIONS = [
+  { id: 0, key: 'apple', name: 'Apple Tree', fruitBlock: 'apple' },
+  { id: 1, key: 'oak', name: 'Oak', shape: 'broad', trunkHeight: [5, 6], canopyRadius: 2 },
+  {
+    id: 2,
+    key: 'birch',
+    name: 'Birch',
+    shape: 'column',
+    trunkBlock: 'birch_wood',
+    leafBlock: 'birch_leaf',
+    trunkHeight: [5, 7],
+  },
+  {
+    id: 3,
+    key: 'spruce',
+    name: 'Spruce',
+    shape: 'conical',
+    trunkBlock: 'spruce_wood',
+    leafBlock: 'spruce_leaf',
+    trunkHeight: [6, 9],
+    canopyRadius: 2,
+  },
+  { id: 4, key: 'jungle', name: 'Jungle Tree', shape: 'broad', fruitBlock: 'apple', trunkHeight: [8, 11], canopyRadius: 2 },
+  { id: 5, key: 'cactus', name: 'Cactus', shape: 'cactus', trunkBlock: 'cactus', leafBlock: null, trunkHeight: [1, 3], canopyRadius: 0 },
+];
+
+const speciesRegistry = new Map();
+
+function resolveBlock(key, speciesKey) {
+  if (key === null) return null;
+  if (!(key in BLOCKS)) throw new Error(`Tree species "${speciesKey}" uses unknown block "${key}"`);
+  return BLOCKS[key];
+}
+
+function defineTreeSpecies(definition) {
+  if (!Number.isInteger(definition.id) || definition.id < 0 || definition.id > 126) {
+    throw new Error(`Tree species "${definition.key}" needs an id between 0 and 126`);
+  }
+  if (speciesRegistry.has(definition.id)) throw new Error(`Tree species id ${definition.id} is already used`);
+  const species = { ...TREE_SPECIES_DEFAULTS, ...definition };
+  if (!TREE_SHAPES.includes(species.shape)) throw new Error(`Tree species "${species.key}" uses unknown shape "${species.shape}"`);
+  const frozen = Object.freeze({
+    ...species,
+    trunkHeight: Object.freeze([...species.trunkHeight]),
+    trunkBlock: resolveBlock(species.trunkBlock, species.key),
+    leafBlock: resolveBlock(species.leafBlock, species.key),
+    fruitBlock: resolveBlock(species.fruitBlock, species.key),
+  });
+  speciesRegistry.set(frozen.id, frozen);
+  return frozen;
+}
+
+TREE_SPECIES_DEFINITIONS.forEach(defineTreeSpecies);
+
+export const TREE_SPECIES = Object.freeze(Object.fromEntries([...speciesRegistry.values()].map((species) => [species.key, species.id])));
+export const TREE_SPECIES_LIST = Object.freeze([...speciesRegistry.values()]);
+export const MAX_TREE_CANOPY_RADIUS = Math.max(...TREE_SPECIES_LIST.map((species) => species.canopyRadius));
+
+export function getTreeSpecies(id) {
+  return speciesRegistry.get(id) || speciesRegistry.get(TREE_SPECIES.apple);
+}
@@ -0,0 +1,1648 @@
+import {
+  BLOCKS,
+  BLOCK_LIST,
+  RENDERED_BLOCK_TYPES,
+  getBlock,
+  getBlockFaceTile,
+  isCrossBlock,
+  isTransparentBlock,
+} from './blocks.js';
+import { BIOMES, BIOME_LIST, getBiome } from './biomes.js';
+import { ORE_LIST, oreBiomeFactor, oreDepthFactor } from './ores.js';
+import { STRUCTURE_LIST, STRUCTURE_TEMPLATES, templateBlockAt } from './structures.js';
+import { MAX_TREE_CANOPY_RADIUS, TREE_SPECIES, TREE_SPECIES_LIST, getTreeSpecies } from './vegetation.js';
+
+export const DEFAULT_WORLD_SIZE = 252;
+export const ENDLESS_WORLD_SIZE = 0;
+export const MAX_HEIGHT = Math.round(16 * 1.3 * 5);
+const OCEAN_LEVEL = 8;
+
+export const CHUNK_SIZE = 16;
+export const MAX_LIGHT_LEVEL = 15;
+export const TERRAIN_LOD_TILE_SIZE = 64;
+const TERRAIN_LOD_SAMPLE_STEP = 4;
+const LIGHT_REGION_SIZE = CHUNK_SIZE * 3;
+const CHUNK_VOXEL_CACHE_LIMIT = 192;
+const COLUMN_CACHE_CHUNK_LIMIT = 1024;
+const COLUMN_CACHE_KEY_STRIDE = 1 << 20;
+
+const BIOME_BLEND = 0.012;
+const BIOME_ELEVATION_WEIGHT = 0.5;
+const BIOME_ELEVATION_RANGE = 24;
+
+const RIVER_REGION_SIZE = 128;
+const RIVER_REGION_CACHE_LIMIT = 256;
+const RIVER_STEP = 8;
+const RIVER_MAX_STEPS = 32;
+const RIVER_MAX_CLIMB = 3;
+const RIVER_REGION_REACH = Math.ceil((RIVER_STEP * RIVER_MAX_STEPS + CHUNK_SIZE) / RIVER_REGION_SIZE);
+const RIVER_SOURCES = 4;
+const RIVER_SOURCE_HEIGHT = 12;
+const RIVER_MIN_WIDTH = 2;
+const RIVER_MAX_WIDTH = 7;
+const RIVER_WIDENING = 0.35;
+const RIVER_BANK_WIDTH = 4;
+const OCEAN_BLEND_THRESHOLD = 0.44;
+
+const ORE_ABUNDANCE = 1;
+const ORE_NOISE_CHANNEL = 32;
+const ORE_VERTICAL_SCALE = 1.6;
+const ORE_THRESHOLD_BASE = 0.36;
+const ORE_THRESHOLD_SLOPE = 0.052;
+
+const STRUCTURE_FREQUENCY = 1;
+const STRUCTURE_REGION_SIZE = 64;
+const STRUCTURE_REGION_CACHE_LIMIT = 512;
+const STRUCTURE_MARGIN = 16;
+const STRUCTURE_FLATNESS = 3;
+const STRUCTURE_FOUNDATION_DEPTH = 3;
+const VILLAGE_MIN_BUILDINGS = 2;
+const DUNGEON_DEPTH = 12;
+const VILLAGE_SLOTS = Object.freeze([[0, -9], [9, 0], [0, 9], [-9, 0], [7, -7], [7, 7], [-7, 7], [-7, -7]]);
+const VILLAGE_DOOR_STEPS = Object.freeze([[0, 1], [-1, 0], [0, -1], [1, 0]]);
+const LEGACY_MAP_COLORS = Object.freeze({ desert: '#dcbf72', highland: '#59984a', shore: '#d1bf88' });
+
+const TREE_SPACING = 6;
+const TREE_CANOPY_RADIUS = 1;
+const TREE_DENSITY_THRESHOLD = 0.84;
+const TREE_LEAF_CHANCE = 0.8;
+const TREE_APPLE_CHANCE = 0.08;
+const DECORATION_DENSITY = 1;
+const SAND_WATER_RADIUS = 3;
+const MOUNTAIN_HEIGHT_THRESHOLD = MAX_HEIGHT - 20;
+const CAVE_MIN_Y = 3;
+const CAVE_SCALE = 0.16;
+const CAVE_THRESHOLD = 0.78;
+const NOISE_OCTAVES = 4;
+const NOISE_LACUNARITY = 2;
+const NOISE_GAIN = 0.5;
+const NOISE_SPREAD_2D = 0.7;
+const NOISE_SPREAD_3D = 0.6;
+const HASH_QUANTIZE = 4096;
+
+const GRADIENTS_2D = Object.freeze([
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2], [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2],
+]);
+const GRADIENTS_3D = Object.freeze([
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1],
+  [1, 1, 0], [-1, 1, 0], [0, -1, 1], [0, -1, -1],
+]);
+
+export const DEFAULT_WORLD_GEN_PROFILE = Object.freeze({
+  worldSize: DEFAULT_WORLD_SIZE,
+  oceanLevel: OCEAN_LEVEL,
+  treeSpacing: TREE_SPACING,
+  treeCanopyRadius: TREE_CANOPY_RADIUS,
+  treeDensityThreshold: TREE_DENSITY_THRESHOLD,
+  treeLeafChance: TREE_LEAF_CHANCE,
+  treeAppleChance: TREE_APPLE_CHANCE,
+  treeSpecies: Object.freeze({}),
+  decorationDensity: DECORATION_DENSITY,
+  sandWaterRadius: SAND_WATER_RADIUS,
+  riverSources: RIVER_SOURCES,
+  riverSourceHeight: RIVER_SOURCE_HEIGHT,
+  riverMaxWidth: RIVER_MAX_WIDTH,
+  mountainHeightThreshold: MOUNTAIN_HEIGHT_THRESHOLD,
+  caveMinY: CAVE_MIN_Y,
+  caveScale: CAVE_SCALE,
+  caveThreshold: CAVE_THRESHOLD,
+  oreAbundance: ORE_ABUNDANCE,
+  structureFrequency: STRUCTURE_FREQUENCY,
+  legacyNoise: false,
+  legacyBiomes: false,
+  legacyVegetation: false,
+  legacyRivers: false,
+  legacyOres: false,
+  legacyStructures: false,
+  noiseOctaves: NOISE_OCTAVES,
+  noiseLacunarity: NOISE_LACUNARITY,
+  noiseGain: NOISE_GAIN,
+});
+
+export const WORLD_GEN_PROFILE_FIELDS = Object.freeze([
+  { key: 'oceanLevel', label: 'Ocean level', min: 2, max: 24, step: 1 },
+  { key: 'noiseOctaves', label: 'Noise octaves', min: 1, max: 6, step: 1 },
+  { key: 'noiseLacunarity', label: 'Noise lacunarity', min: 1.5, max: 3, step: 0.1 },
+  { key: 'noiseGain', label: 'Noise gain', min: 0.3, max: 0.7, step: 0.05 },
+  { key: 'mountainHeightThreshold', label: 'Snow line', min: 40, max: MAX_HEIGHT, step: 1 },
+  { key: 'sandWaterRadius', label: 'Beach width', min: 0, max: 6, step: 1 },
+  { key: 'riverSources', label: 'River sources', min: 0, max: 8, step: 1 },
+  { key: 'riverSourceHeight', label: 'River source height', min: 4, max: 30, step: 1 },
+  { key: 'riverMaxWidth', label: 'River width', min: 2, max: 14, step: 1 },
+  { key: 'treeSpacing', label: 'Tree spacing', min: 3, max: 12, step: 1 },
+  { key: 'treeDensityThreshold', label: 'Tree rarity', min: 0.5, max: 0.98, step: 0.01 },
+  { key: 'treeCanopyRadius', label: 'Canopy radius', min: 0, max: 3, step: 1 },
+  { key: 'treeLeafChance', label: 'Leaf density', min: 0.3, max: 1, step: 0.05 },
+  { key: 'treeAppleChance', label: 'Fruit chance', min: 0, max: 0.5, step: 0.01 },
+  ...TREE_SPECIES_LIST.map(({ key, name }) => ({ key, group: 'treeSpecies', label: `${name} weight`, min: 0, max: 3, step: 0.1 })),
+  { key: 'decorationDensity', label: 'Plant density', min: 0, max: 3, step: 0.1 },
+  { key: 'caveMinY', label: 'Cave floor', min: 1, max: 20, step: 1 },
+  { key: 'caveScale', label: 'Cave scale', min: 0.05, max: 0.4, step: 0.01 },
+  { key: 'caveThreshold', label: 'Cave rarity', min: 0.5, max: 0.95, step: 0.01 },
+  { key: 'oreAbundance', label: 'Ore abundance', min: 0, max: 4, step: 0.1 },
+  { key: 'structureFrequency', label: 'Structure frequency', min: 0, max: 3, step: 0.1 },
+].map((field) => Object.freeze(field)));
+
+const LIGHT_FILTER = new Uint8Array(256).fill(MAX_LIGHT_LEVEL);
+const LIGHT_EMISSION = new Uint8Array(256);
+for (const block of BLOCK_LIST) {
+  LIGHT_FILTER[block.id] = block.lightFilter;
+  LIGHT_EMISSION[block.id] = block.lightEmission;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+export function createWorldGenerator(seed, profile = DEFAULT_WORLD_GEN_PROFILE) {
+  const merged = { ...DEFAULT_WORLD_GEN_PROFILE, ...profile };
+  return {
+    seed,
+    seedOffsetA: (seed % 997) * 0.1337,
+    seedOffsetB: (seed % 577) * 0.2811,
+    profile: merged,
+    worldSize: merged.worldSize,
+    columnCaches: new Map(),
+    riverRegions: new Map(),
+    structureRegions: new Map(),
+    chunkVoxelCache: new Map(),
+    chunkEdits: new Map(),
+    lastColumnChunkX: NaN,
+    lastColumnChunkZ: NaN,
+    lastColumnCache: null,
+  };
+}
+
+export function isEndlessWorld(generator) {
+  return generator.worldSize === ENDLESS_WORLD_SIZE;
+}
+
+export function isColumnInWorld(generator, x, z) {
+  return isEndlessWorld(generator) || (x >= 0 && z >= 0 && x < generator.worldSize && z < generator.worldSize);
+}
+
+export function isChunkInWorld(generator, cx, cz) {
+  if (isEndlessWorld(generator)) return true;
+  const chunks = Math.ceil(generator.worldSize / CHUNK_SIZE);
+  return cx >= 0 && cz >= 0 && cx < chunks && cz < chunks;
+}
+
+export function clampToWorld(generator, value, margin = 0) {
+  return isEndlessWorld(generator) ? value : clamp(value, margin, generator.worldSize - 1 - margin);
+}
+
+export function getWorldGenProfile(worldData) {
+  const saved = worldData?.generation || {};
+  return {
+    ...DEFAULT_WORLD_GEN_PROFILE,
+    legacyNoise: !!worldData && !('legacyNoise' in saved),
+    legacyBiomes: !!worldData && !('legacyBiomes' in saved),
+    legacyVegetation: !!worldData && !('legacyVegetation' in saved),
+    legacyRivers: !!worldData && !('legacyRivers' in saved),
+    legacyOres: !!worldData && !('legacyOres' in saved),
+    legacyStructures: !!worldData && !('legacyStructures' in saved),
+    ...saved,
+  };
+}
+
+function createColumnCache() {
+  const columns = CHUNK_SIZE * CHUNK_SIZE;
+  return {
+    terrainHeight: new Int16Array(columns).fill(-1),
+    waterHeight: new Int16Array(columns).fill(-1),
+    sandRadius: new Int8Array(columns).fill(-1),
+    biome: new Int8Array(columns).fill(-1),
+    treeCenter: new Int8Array(columns).fill(-1),
+    riverWater: new Int16Array(columns),
+    rivers: null,
+    structures: null,
+  };
+}
+
+function columnCacheAt(generator, x, z) {
+  const cx = Math.floor(x / CHUNK_SIZE);
+  const cz = Math.floor(z / CHUNK_SIZE);
+  if (cx === generator.lastColumnChunkX && cz === generator.lastColumnChunkZ) return generator.lastColumnCache;
+  const key = cx * COLUMN_CACHE_KEY_STRIDE + cz;
+  let cache = generator.columnCaches.get(key);
+  if (!cache) {
+    cache = createColumnCache();
+    if (generator.columnCaches.size >= COLUMN_CACHE_CHUNK_LIMIT) generator.columnCaches.delete(generator.columnCaches.keys().next().value);
+    generator.columnCaches.set(key, cache);
+  }
+  generator.lastColumnChunkX = cx;
+  generator.lastColumnChunkZ = cz;
+  generator.lastColumnCache = cache;
+  return cache;
+}
+
+function columnCacheIndex(x, z) {
+  const lx = x - Math.floor(x / CHUNK_SIZE) * CHUNK_SIZE;
+  const lz = z - Math.floor(z / CHUNK_SIZE) * CHUNK_SIZE;
+  return lx + lz * CHUNK_SIZE;
+}
+
+function fract(v) {
+  return v - Math.floor(v);
+}
+
+function legacyHash2(generator, x, z) {
+  return fract(Math.sin((x + generator.seedOffsetA) * 127.1 + (z + generator.seedOffsetB) * 311.7 + generator.seed * 0.013) * 43758.5453123);
+}
+
+function smoothNoise(generator, x, z) {
+  const x0 = Math.floor(x);
+  const z0 = Math.floor(z);
+  const tx = x - x0;
+  const tz = z - z0;
+  const a = legacyHash2(generator, x0, z0);
+  const b = legacyHash2(generator, x0 + 1, z0);
+  const c = legacyHash2(generator, x0, z0 + 1);
+  const d = legacyHash2(generator, x0 + 1, z0 + 1);
+  const sx = tx * tx * (3 - 2 * tx);
+  const sz = tz * tz * (3 - 2 * tz);
+  const nx0 = a + (b - a) * sx;
+  const nx1 = c + (d - c) * sx;
+  return nx0 + (nx1 - nx0) * sz;
+}
+
+function hashInt(x, y, z, seed) {
+  let h = seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(z, 0x1b873593);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+function hash2(generator, x, z) {
+  if (generator.profile.legacyNoise) return legacyHash2(generator, x, z);
+  return hashInt(Math.floor(x * HASH_QUANTIZE), Math.floor(z * HASH_QUANTIZE), 0, generator.seed) / 4294967296;
+}
+
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function gradientNoise2(x, z, seed) {
+  const x0 = Math.floor(x);
+  const z0 = Math.floor(z);
+  const tx = x - x0;
+  const tz = z - z0;
+  const corner = (ix, iz, dx, dz) => {
+    const gradient = GRADIENTS_2D[hashInt(ix, iz, 0, seed) & 7];
+    return gradient[0] * dx + gradient[1] * dz;
+  };
+  const sx = fade(tx);
+  const sz = fade(tz);
+  const nx0 = lerp(corner(x0, z0, tx, tz), corner(x0 + 1, z0, tx - 1, tz), sx);
+  const nx1 = lerp(corner(x0, z0 + 1, tx, tz - 1), corner(x0 + 1, z0 + 1, tx - 1, tz - 1), sx);
+  return lerp(nx0, nx1, sz) * Math.SQRT2;
+}
+
+function gradientNoise3(x, y, z, seed) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const z0 = Math.floor(z);
+  const tx = x - x0;
+  const ty = y - y0;
+  const tz = z - z0;
+  const corner = (ix, iy, iz, dx, dy, dz) => {
+    const gradient = GRADIENTS_3D[hashInt(ix, iy, iz, seed) & 15];
+    return gradient[0] * dx + gradient[1] * dy + gradient[2] * dz;
+  };
+  const sx = fade(tx);
+  const sy = fade(ty);
+  const sz = fade(tz);
+  const nz0 = lerp(
+    lerp(corner(x0, y0, z0, tx, ty, tz), corner(x0 + 1, y0, z0, tx - 1, ty, tz), sx),
+    lerp(corner(x0, y0 + 1, z0, tx, ty - 1, tz), corner(x0 + 1, y0 + 1, z0, tx - 1, ty - 1, tz), sx),
+    sy,
+  );
+  const nz1 = lerp(
+    lerp(corner(x0, y0, z0 + 1, tx, ty, tz - 1), corner(x0 + 1, y0, z0 + 1, tx - 1, ty, tz - 1), sx),
+    lerp(corner(x0, y0 + 1, z0 + 1, tx, ty - 1, tz - 1), corner(x0 + 1, y0 + 1, z0 + 1, tx - 1, ty - 1, tz - 1), sx),
+    sy,
+  );
+  return lerp(nz0, nz1, sz);
+}
+
+function fractalNoise(generator, sample, channel) {
+  const { noiseOctaves, noiseLacunarity, noiseGain } = generator.profile;
+  let amplitude = 1;
+  let frequency = 1;
+  let sum = 0;
+  let amplitudeSq = 0;
+  for (let octave = 0; octave < noiseOctaves; octave += 1) {
+    sum += sample(frequency, hashInt(channel, octave, 0, generator.seed) | 0) * amplitude;
+    amplitudeSq += amplitude * amplitude;
+    amplitude *= noiseGain;
+    frequency *= noiseLacunarity;
+  }
+  return amplitudeSq ? sum / Math.sqrt(amplitudeSq) : 0;
+}
+
+function noise2(generator, x, z, channel) {
+  if (generator.profile.legacyNoise) return smoothNoise(generator, x, z);
+  const value = fractalNoise(generator, (frequency, seed) => gradientNoise2(x * frequency, z * frequency, seed), channel);
+  return clamp(0.5 + value * NOISE_SPREAD_2D, 0, 1);
+}
+
+function noise3(generator, x, y, z, channel) {
+  const value = fractalNoise(generator, (frequency, seed) => gradientNoise3(x * frequency, y * frequency, z * frequency, seed), channel);
+  return clamp(0.5 + value * NOISE_SPREAD_3D, 0, 1);
+}
+
+function caveDensityAt(generator, wx, y, wz) {
+  const { caveScale } = generator.profile;
+  if (!generator.profile.legacyNoise) return noise3(generator, wx * caveScale, y * caveScale * 1.4, wz * caveScale, 9);
+  const caveNoiseA = smoothNoise(generator, wx * caveScale + y * 0.12 + 300, wz * caveScale + y * 0.09 + 500);
+  const caveNoiseB = smoothNoise(generator, wx * (caveScale * 1.8) + y * 0.2 + 30, wz * (caveScale * 1.8) + y * 0.16 + 90);
+  return caveNoiseA * 0.7 + caveNoiseB * 0.3;
+}
+
+function getTerrainHeightCached(generator, x, z) {
+  const clampedX = clampToWorld(generator, x);
+  const clampedZ = clampToWorld(generator, z);
+  const columnCache = columnCacheAt(generator, clampedX, clampedZ);
+  const cacheIndex = columnCacheIndex(clampedX, clampedZ);
+  const cached = columnCache.terrainHeight[cacheIndex];
+  if (cached >= 0) return cached;
+
+  let height = Math.max(2, Math.min(MAX_HEIGHT, Math.round(naturalTerrainHeightAt(generator, clampedX, clampedZ, columnCache, cacheIndex))));
+  if (!generator.profile.legacyRivers) {
+    if (!columnCache.rivers) columnCache.rivers = collectRiverFeatures(generator, Math.floor(clampedX / CHUNK_SIZE), Math.floor(clampedZ / CHUNK_SIZE));
+    const carved = carveRivers(generator, clampedX, clampedZ, height, columnCache.rivers);
+    height = Math.max(2, carved.height);
+    columnCache.riverWater[cacheIndex] = carved.water > height ? carved.water + 1 : 0;
+  }
+  columnCache.terrainHeight[cacheIndex] = height;
+  return height;
+}
+
+function naturalTerrainHeightAt(generator, x, z, columnCache = null, cacheIndex = 0) {
+  const base = baseTerrainHeightAt(generator, x, z);
+  if (generator.profile.legacyBiomes) return base;
+
+  const weights = biomeWeightsAt(generator, x, z, base);
+  const { oceanLevel } = generator.profile;
+  let surface = 0;
+  for (const { biome, weight } of weights) {
+    surface += (oceanLevel + (base - oceanLevel) * biome.heightScale + biome.heightOffset) * weight;
+  }
+  if (columnCache) columnCache.biome[cacheIndex] = weights[0].biome.id;
+  return surface;
+}
+
+function baseTerrainHeightAt(generator, x, z) {
+  const broad = noise2(generator, x * 0.05, z * 0.05, 1) * 10;
+  const rolling = noise2(generator, x * 0.12 + 42, z * 0.12 + 12, 2) * 6;
+  const detail = noise2(generator, x * 0.23 + 90, z * 0.23 + 37, 3) * 2;
+  const mountainMask = Math.max(0, noise2(generator, x * 0.013 + 140, z * 0.013 + 70, 4) - 0.56) / 0.44;
+  const mountainRidge = noise2(generator, x * 0.028 + 220, z * 0.028 + 160, 5);
+  const mountainHeight = mountainMask * (0.55 + mountainRidge) * 28;
+  return 2 + broad + rolling + detail + mountainHeight;
+}
+
+function biomeWeightsAt(generator, x, z, baseHeight) {
+  const elevation = clamp((baseHeight - generator.profile.oceanLevel) / BIOME_ELEVATION_RANGE, 0, 1);
+  const temperature = noise2(generator, x * 0.013 + 123, z * 0.013 + 48, 10) - Math.max(0, elevation - 0.5) * 0.4;
+  const humidity = noise2(generator, x * 0.017 + 11, z * 0.017 + 189, 11);
+  const distances = BIOME_LIST.map(({ climate }) => {
+    const dt = temperature - climate.temperature;
+    const dh = humidity - climate.humidity;
+    const de = (elevation - climate.elevation) * BIOME_ELEVATION_WEIGHT;
+    return dt * dt + dh * dh + de * de;
+  });
+  const nearest = Math.min(...distances);
+
+  const weights = [];
+  let total = 0;
+  BIOME_LIST.forEach((biome, index) => {
+    const weight = Math.exp(-(distances[index] - nearest) / BIOME_BLEND);
+    if (weight < 0.01) return;
+    weights.push({ biome, weight });
+    total += weight;
+  });
+  for (const entry of weights) entry.weight /= total;
+  return weights.sort((a, b) => b.weight - a.weight);
+}
+
+export function terrainHeight(generator, x, z) {
+  return getTerrainHeightCached(generator, x, z);
+}
+
+function oceanBlendAt(generator, x, z) {
+  const continental = noise2(generator, x * 0.016 + 80, z * 0.016 + 11, 6);
+  const deepOceanSignal = noise2(generator, x * 0.01 + 25, z * 0.01 + 91, 7);
+  return deepOceanSignal * 0.65 + continental * 0.35;
+}
+
+function riverRegionFeatures(generator, regionX, regionZ) {
+  const key = regionX * COLUMN_CACHE_KEY_STRIDE + regionZ;
+  let features = generator.riverRegions.get(key);
+  if (features) return features;
+
+  features = [];
+  const { oceanLevel, riverSources, riverSourceHeight } = generator.profile;
+  for (let attempt = 0; attempt < riverSources; attempt += 1) {
+    const sx = regionX * RIVER_REGION_SIZE + Math.floor(hash2(generator, regionX * 1.7 + attempt * 7.3 + 0.31, regionZ * 2.3 + 0.57) * RIVER_REGION_SIZE / RIVER_STEP) * RIVER_STEP;
+    const sz = regionZ * RIVER_REGION_SIZE + Math.floor(hash2(generator, regionX * 2.9 + 0.83, regionZ * 1.3 + attempt * 5.1 + 0.19) * RIVER_REGION_SIZE / RIVER_STEP) * RIVER_STEP;
+    if (!isColumnInWorld(generator, sx, sz)) continue;
+    if (naturalTerrainHeightAt(generator, sx, sz) < oceanLevel + riverSourceHeight) continue;
+    features.push(...traceRiver(generator, sx, sz));
+  }
+
+  if (generator.riverRegions.size >= RIVER_REGION_CACHE_LIMIT) generator.riverRegions.delete(generator.riverRegions.keys().next().value);
+  generator.riverRegions.set(key, features);
+  return features;
+}
+
+function traceRiver(generator, sx, sz) {
+  const { oceanLevel, riverMaxWidth } = generator.profile;
+  const visited = new Set();
+  const points = [];
+  let x = sx;
+  let z = sz;
+  let level = naturalTerrainHeightAt(generator, x, z);
+  for (let step = 0; step <= RIVER_MAX_STEPS; step += 1) {
+    visited.add(`${x},${z}`);
+    const meanderX = (noise2(generator, x * 0.05 + 17, z * 0.05 + 3, 12) - 0.5) * RIVER_STEP;
+    const meanderZ = (noise2(generator, x * 0.05 + 5, z * 0.05 + 29, 13) - 0.5) * RIVER_STEP;
+    points.push({ x: x + meanderX, z: z + meanderZ, level, width: Math.min(riverMaxWidth, RIVER_MIN_WIDTH + step * RIVER_WIDENING) });
+    if (level <= oceanLevel + 1 && oceanBlendAt(generator, x, z) < OCEAN_BLEND_THRESHOLD) return riverSegments(points);
+
+    let next = null;
+    for (let dz = -RIVER_STEP; dz <= RIVER_STEP; dz += RIVER_STEP) {
+      for (let dx = -RIVER_STEP; dx <= RIVER_STEP; dx += RIVER_STEP) {
+        const nx = x + dx;
+        const nz = z + dz;
+        if ((!dx && !dz) || visited.has(`${nx},${nz}`) || !isColumnInWorld(generator, nx, nz)) continue;
+        const height = naturalTerrainHeightAt(generator, nx, nz);
+        if (!next || height < next.height) next = { x: nx, z: nz, height };
+      }
+    }
+    if (!next || next.height > level + RIVER_MAX_CLIMB) break;
+    x = next.x;
+    z = next.z;
+    level = Math.min(level, next.height);
+  }
+
+  if (points.length < 4) return [];
+  const end = points[points.length - 1];
+  const lake = { type: 'lake', x: end.x, z: end.z, radius: 3 + Math.min(5, points.length / 8), level: end.level };
+  return [...riverSegments(points), lake];
+}
+
+function riverSegments(points) {
+  const segments = [];
+  for (let index = 1; index < points.length; index += 1) {
+    segments.push({ type: 'river', from: points[index - 1], to: points[index] });
+  }
+  return segments;
+}
+
+function riverFeatureReach(feature) {
+  const radius = feature.type === 'lake' ? feature.radius : Math.max(feature.from.width, feature.to.width) / 2;
+  return radius + RIVER_BANK_WIDTH + 1;
+}
+
+function collectRiverFeatures(generator, cx, cz) {
+  const minX = cx * CHUNK_SIZE;
+  const minZ = cz * CHUNK_SIZE;
+  const maxX = minX + CHUNK_SIZE;
+  const maxZ = minZ + CHUNK_SIZE;
+  const regionX = Math.floor(minX / RIVER_REGION_SIZE);
+  const regionZ = Math.floor(minZ / RIVER_REGION_SIZE);
+  const features = [];
+  for (let rz = regionZ - RIVER_REGION_REACH; rz <= regionZ + RIVER_REGION_REACH; rz += 1) {
+    for (let rx = regionX - RIVER_REGION_REACH; rx <= regionX + RIVER_REGION_REACH; rx += 1) {
+      for (const feature of riverRegionFeatures(generator, rx, rz)) {
+        const reach = riverFeatureReach(feature);
+        const fromX = feature.type === 'lake' ? feature.x : Math.min(feature.from.x, feature.to.x);
+        const toX = feature.type === 'lake' ? feature.x : Math.max(feature.from.x, feature.to.x);
+        const fromZ = feature.type === 'lake' ? feature.z : Math.min(feature.from.z, feature.to.z);
+        const toZ = feature.type === 'lake' ? feature.z : Math.max(feature.from.z, feature.to.z);
+        if (toX + reach < minX || fromX - reach > maxX || toZ + reach < minZ || fromZ - reach > maxZ) continue;
+        features.push(feature);
+      }
+    }
+  }
+  return features;
+}
+
+function carveRivers(generator, x, z, naturalHeight, features) {
+  const { oceanLevel } = generator.profile;
+  let height = naturalHeight;
+  let water = -1;
+  for (const feature of features) {
+    let distance;
+    let radius;
+    let level;
+    if (feature.type === 'lake') {
+      distance = Math.hypot(x + 0.5 - feature.x, z + 0.5 - feature.z);
+      radius = feature.radius;
+      level = feature.level;
+    } else {
+      const { from, to } = feature;
+      const segmentX = to.x - from.x;
+      const segmentZ = to.z - from.z;
+      const lengthSq = segmentX * segmentX + segmentZ * segmentZ;
+      const t = lengthSq ? clamp(((x + 0.5 - from.x) * segmentX + (z + 0.5 - from.z) * segmentZ) / lengthSq, 0, 1) : 0;
+      distance = Math.hypot(x + 0.5 - from.x - segmentX * t, z + 0.5 - from.z - segmentZ * t);
+      radius = (from.width + (to.width - from.width) * t) / 2;
+      level = from.level + (to.level - from.level) * t;
+    }
+    if (distance > radius + RIVER_BANK_WIDTH) continue;
+
+    const surface = Math.max(oceanLevel, Math.floor(level));
+    if (distance <= radius) {
+      const depth = 1 + Math.floor(radius / 1.5);
+      const bed = Math.round(surface - depth * (1 - (distance / radius) ** 2));
+      if (bed < height) height = bed;
+      if (bed < surface) water = Math.max(water, surface);
+    } else if (naturalHeight > surface) {
+      const bank = Math.round(surface + (naturalHeight - surface) * ((distance - radius) / RIVER_BANK_WIDTH));
+      if (bank < height) height = bank;
+    }
+  }
+  return { height, water };
+}
+
+function getWaterHeightCached(generator, x, z) {
+  const clampedX = clampToWorld(generator, x);
+  const clampedZ = clampToWorld(generator, z);
+  const columnCache = columnCacheAt(generator, clampedX, clampedZ);
+  const cacheIndex = columnCacheIndex(clampedX, clampedZ);
+  const cached = columnCache.waterHeight[cacheIndex];
+  if (cached >= 0) return cached - 1;
+
+  const h = terrainHeight(generator, clampedX, clampedZ);
+  const craterSignal = noise2(generator, clampedX * 0.07 + 44, clampedZ * 0.07 + 59, 8);
+
+  const neighbors = [
+    terrainHeight(generator, clampedX - 1, clampedZ),
+    terrainHeight(generator, clampedX + 1, clampedZ),
+    terrainHeight(generator, clampedX, clampedZ - 1),
+    terrainHeight(generator, clampedX, clampedZ + 1),
+  ];
+  const avgNeighborHeight = neighbors.reduce((sum, value) => sum + value, 0) / neighbors.length;
+  const basinDepth = avgNeighborHeight - h;
+
+  let computedWaterHeight = columnCache.riverWater[cacheIndex] - 1;
+  const oceanBlend = oceanBlendAt(generator, clampedX, clampedZ);
+  if (oceanBlend < OCEAN_BLEND_THRESHOLD && h <= generator.profile.oceanLevel + 3) {
+    computedWaterHeight = Math.max(computedWaterHeight, h, generator.profile.oceanLevel + Math.round((OCEAN_BLEND_THRESHOLD - oceanBlend) * 4));
+  }
+
+  const maxCraterWaterHeight = generator.profile.oceanLevel + 4;
+  if (h <= maxCraterWaterHeight && basinDepth > 0.9 && craterSignal < 0.3) {
+    const craterDepth = Math.round((0.3 - craterSignal) * 8);
+    computedWaterHeight = Math.max(computedWaterHeight, Math.max(h, Math.min(maxCraterWaterHeight, h + Math.min(3, Math.max(1, craterDepth)))));
+  }
+
+  const encodedHeight = computedWaterHeight < 0 ? 0 : computedWaterHeight + 1;
+  columnCache.waterHeight[cacheIndex] = encodedHeight;
+  return computedWaterHeight;
+}
+
+export function waterHeight(generator, x, z) {
+  return getWaterHeightCached(generator, x, z);
+}
+
+export function hasWaterAt(generator, x, z) {
+  return waterHeight(generator, x, z) >= terrainHeight(generator, x, z);
+}
+
+export function hasWaterInRadiusCached(generator, x, z, radius) {
+  const clampedX = clampToWorld(generator, x);
+  const clampedZ = clampToWorld(generator, z);
+  const columnCache = columnCacheAt(generator, clampedX, clampedZ);
+  const cacheIndex = columnCacheIndex(clampedX, clampedZ);
+  const cached = columnCache.sandRadius[cacheIndex];
+  if (cached >= 0) return cached === 1;
+
+  for (let dz = -radius; dz <= radius; dz += 1) {
+    const nz = clampedZ + dz;
+    for (let dx = -radius; dx <= radius; dx += 1) {
+      const nx = clampedX + dx;
+      if (!isColumnInWorld(generator, nx, nz)) continue;
+      if (Math.abs(dx) + Math.abs(dz) > radius) continue;
+      if (hasWaterAt(generator, nx, nz)) {
+        columnCache.sandRadius[cacheIndex] = 1;
+        return true;
+      }
+    }
+  }
+
+  columnCache.sandRadius[cacheIndex] = 0;
+  return false;
+}
+
+function getBiomeCached(generator, x, z) {
+  const clampedX = clampToWorld(generator, x);
+  const clampedZ = clampToWorld(generator, z);
+  const columnCache = columnCacheAt(generator, clampedX, clampedZ);
+  const cacheIndex = columnCacheIndex(clampedX, clampedZ);
+  const cached = columnCache.biome[cacheIndex];
+  if (cached >= 0) return cached;
+
+  if (!generator.profile.legacyBiomes) {
+    terrainHeight(generator, clampedX, clampedZ);
+    return columnCache.biome[cacheIndex];
+  }
+
+  const temperature = noise2(generator, clampedX * 0.013 + 123, clampedZ * 0.013 + 48, 10);
+  const humidity = noise2(generator, clampedX * 0.017 + 11, clampedZ * 0.017 + 189, 11);
+
+  let biome = BIOMES.plains;
+  if (temperature < 0.3) {
+    biome = BIOMES.snow;
+  } else if (temperature > 0.64 && humidity < 0.42) {
+    biome = BIOMES.desert;
+  }
+
+  columnCache.biome[cacheIndex] = biome;
+  return biome;
+}
+
+export function biomeBlendAt(generator, x, z) {
+  const clampedX = clampToWorld(generator, x);
+  const clampedZ = clampToWorld(generator, z);
+  if (generator.profile.legacyBiomes) return [{ biome: getBiome(biomeAt(generator, clampedX, clampedZ)), weight: 1 }];
+  return biomeWeightsAt(generator, clampedX, clampedZ, baseTerrainHeightAt(generator, clampedX, clampedZ));
+}
+
+export function biomeAt(generator, x, z) {
+  return getBiomeCached(generator, x, z);
+}
+
+
+function treeAt(generator, wx, wz) {
+  if (!isEndlessWorld(generator) && (wx <= 2 || wz <= 2 || wx >= generator.worldSize - 3 || wz >= generator.worldSize - 3)) return null;
+  if (wx % generator.profile.treeSpacing !== 0 || wz % generator.profile.treeSpacing !== 0) return null;
+
+  const columnCache = columnCacheAt(generator, wx, wz);
+  const cacheIndex = columnCacheIndex(wx, wz);
+  const cached = columnCache.treeCenter[cacheIndex];
+  if (cached >= 0) return cached ? getTreeSpecies(cached - 1) : null;
+
+  const species = computeTreeSpecies(generator, wx, wz);
+  columnCache.treeCenter[cacheIndex] = species ? species.id + 1 : 0;
+  return species;
+}
+
+function computeTreeSpecies(generator, wx, wz) {
+  const centerHeight = terrainHeight(generator, wx, wz);
+  const biome = getBiome(biomeAt(generator, wx, wz));
+  const { legacyVegetation } = generator.profile;
+  if (centerHeight <= generator.profile.oceanLevel + 1 || hasWaterAt(generator, wx, wz)) return null;
+  if (isNearStructure(generator, wx, wz, MAX_TREE_CANOPY_RADIUS + 1)) return null;
+  if (!biome.trees) return null;
+  if (legacyVegetation && !biome.trees.species.some(({ species }) => getTreeSpecies(species).leafBlock !== null)) return null;
+
+  const north = terrainHeight(generator, wx, wz - 1);
+  const south = terrainHeight(generator, wx, wz + 1);
+  const east = terrainHeight(generator, wx + 1, wz);
+  const west = terrainHeight(generator, wx - 1, wz);
+  const isSteep = Math.max(
+    Math.abs(centerHeight - north),
+    Math.abs(centerHeight - south),
+    Math.abs(centerHeight - east),
+    Math.abs(centerHeight - west),
+  ) > 2;
+  if (isSteep) return null;
+
+  let treeDensityThreshold = generator.profile.treeDensityThreshold + biome.trees.densityOffset;
+  if (generator.profile.legacyBiomes) treeDensityThreshold = biome.id === BIOMES.snow ? 0.9 : generator.profile.treeDensityThreshold;
+  if (hash2(generator, wx * 0.73 + 5.7, wz * 0.73 + 17.1) <= treeDensityThreshold) return null;
+  return legacyVegetation ? getTreeSpecies(TREE_SPECIES.apple) : pickTreeSpecies(generator, biome, wx, wz);
+}
+
+function pickTreeSpecies(generator, biome, wx, wz) {
+  const overrides = generator.profile.treeSpecies;
+  const weights = biome.trees.species
+    .map(({ key, species, weight }) => ({ species, weight: weight * (overrides[key] ?? 1) }))
+    .filter(({ weight }) => weight > 0);
+  if (!weights.length) return null;
+
+  const total = weights.reduce((sum, { weight }) => sum + weight, 0);
+  let remaining = hash2(generator, wx * 0.41 + 63.1, wz * 0.41 + 7.9) * total;
+  for (const { species, weight } of weights) {
+    remaining -= weight;
+    if (remaining < 0) return getTreeSpecies(species);
+  }
+  return getTreeSpecies(weights[weights.length - 1].species);
+}
+
+function treeCanopyRadius(generator, species) {
+  return Math.max(0, species.canopyRadius + generator.profile.treeCanopyRadius - TREE_CANOPY_RADIUS);
+}
+
+function treeBlockAt(generator, wx, y, wz) {
+  const { treeSpacing } = generator.profile;
+  const reach = Math.max(0, MAX_TREE_CANOPY_RADIUS + generator.profile.treeCanopyRadius - TREE_CANOPY_RADIUS) + 1;
+  const minTreeX = Math.floor((wx - reach) / treeSpacing) * treeSpacing;
+  const maxTreeX = Math.ceil((wx + reach) / treeSpacing) * treeSpacing;
+  const minTreeZ = Math.floor((wz - reach) / treeSpacing) * treeSpacing;
+  const maxTreeZ = Math.ceil((wz + reach) / treeSpacing) * treeSpacing;
+
+  for (let tx = minTreeX; tx <= maxTreeX; tx += treeSpacing) {
+    for (let tz = minTreeZ; tz <= maxTreeZ; tz += treeSpacing) {
+      const species = treeAt(generator, tx, tz);
+      if (!species) continue;
+
+      const radius = treeCanopyRadius(generator, species);
+      const dx = Math.abs(wx - tx);
+      const dz = Math.abs(wz - tz);
+      if (dx > radius + 1 || dz > radius + 1) continue;
+
+      const baseY = terrainHeight(generator, tx, tz) + 1;
+      const [minHeight, maxHeight] = species.trunkHeight;
+      const topY = baseY + minHeight + Math.floor(hash2(generator, tx + 91.7, tz + 17.3) * (maxHeight - minHeight + 1)) - 1;
+      if (y < baseY || y > topY + 1) continue;
+      if (dx === 0 && dz === 0 && y <= topY) return species.trunkBlock;
+
+      const block = treeCanopyBlockAt(generator, species, { baseY, topY, radius }, dx, dz, wx, y, wz);
+      if (block !== BLOCKS.air) return block;
+    }
+  }
+
+  return BLOCKS.air;
+}
+
+function treeCanopyBlockAt(generator, species, tree, dx, dz, wx, y, wz) {
+  switch (species.shape) {
+    case 'classic':
+      return classicCanopyBlockAt(generator, species, tree, dx, dz, wx, y, wz);
+    case 'broad':
+      return broadCanopyBlockAt(generator, species, tree, dx, dz, wx, y, wz);
+    case 'column':
+      return columnCanopyBlockAt(generator, species, tree, dx, dz, wx, y, wz);
+    case 'conical':
+      return conicalCanopyBlockAt(species, tree, dx, dz, y);
+    default:
+      return BLOCKS.air;
+  }
+}
+
+function hasLeafAt(generator, wx, y, wz) {
+  return hash2(generator, wx * 1.91 + y * 0.47 + 31.7, wz * 1.37 + y * 0.73 + 19.3) < generator.profile.treeLeafChance;
+}
+
+function hasFruitAt(generator, wx, y, wz) {
+  return hash2(generator, wx * 0.69 + y * 0.21 + 13.5, wz * 0.94 + y * 0.53 + 44.1) < generator.profile.treeAppleChance;
+}
+
+function classicCanopyBlockAt(generator, species, { topY, radius }, dx, dz, wx, y, wz) {
+  if (dx === 0 && dz === 0 && y === topY + 1) return species.leafBlock;
+
+  const isInLeafLayer = y >= topY - 1 && y <= topY;
+  const isInCanopy = dx <= radius && dz <= radius && dx + dz <= radius + 1;
+  const isApplePoint = y === topY - 1 && (dx + dz === radius + 1 || (dx === radius && dz === radius));
+  if (isApplePoint && species.fruitBlock !== null && hasFruitAt(generator, wx, y, wz)) return species.fruitBlock;
+  if (isInLeafLayer && isInCanopy && hasLeafAt(generator, wx, y, wz)) return species.leafBlock;
+  return BLOCKS.air;
+}
+
+function broadCanopyBlockAt(generator, species, { topY, radius }, dx, dz, wx, y, wz) {
+  const layer = y - topY;
+  if (layer < -2) return BLOCKS.air;
+  if (layer === 1) return dx + dz <= 1 ? species.leafBlock : BLOCKS.air;
+
+  const layerRadius = layer === 0 ? radius - 1 : radius;
+  if (dx > layerRadius || dz > layerRadius) return BLOCKS.air;
+  const isEdge = dx === layerRadius || dz === layerRadius;
+  if (layer === -2 && isEdge && species.fruitBlock !== null && hasFruitAt(generator, wx, y, wz)) return species.fruitBlock;
+  if (dx === layerRadius && dz === layerRadius && layerRadius > 0) return BLOCKS.air;
+  return !isEdge || hasLeafAt(generator, wx, y, wz) ? species.leafBlock : BLOCKS.air;
+}
+
+function columnCanopyBlockAt(generator, species, { topY, radius }, dx, dz, wx, y, wz) {
+  const layer = y - topY;
+  if (layer < -3) return BLOCKS.air;
+  if (layer === 1) return dx === 0 && dz === 0 ? species.leafBlock : BLOCKS.air;
+  if (layer === 0) return dx + dz <= radius ? species.leafBlock : BLOCKS.air;
+  if (dx > radius || dz > radius) return BLOCKS.air;
+  if (dx === radius && dz === radius && !hasLeafAt(generator, wx, y, wz)) return BLOCKS.air;
+  return species.leafBlock;
+}
+
+function conicalCanopyBlockAt(species, { baseY, topY, radius }, dx, dz, y) {
+  if (y < baseY + 2) return BLOCKS.air;
+  const depth = topY + 1 - y;
+  let layerRadius = Math.min(radius, Math.floor((depth + 1) / 2));
+  if (depth > 2 && depth % 2 === 0) layerRadius = Math.max(1, layerRadius - 1);
+  if (dx > layerRadius || dz > layerRadius) return BLOCKS.air;
+  return dx + dz <= layerRadius + Math.floor(layerRadius / 2) ? species.leafBlock : BLOCKS.air;
+}
+
+function decorationAt(generator, wx, wz) {
+  if (generator.profile.legacyVegetation) return BLOCKS.air;
+  const biome = getBiome(biomeAt(generator, wx, wz));
+  if (!biome.decorations.length || surfaceBlockAt(generator, wx, wz) !== biome.surfaceBlock) return BLOCKS.air;
+
+  let roll = hash2(generator, wx * 1.13 + 27.4, wz * 1.13 + 81.9) / generator.profile.decorationDensity;
+  for (const { block, chance } of biome.decorations) {
+    roll -= chance;
+    if (roll < 0) return block;
+  }
+  return BLOCKS.air;
+}
+
+export function surfaceBlockAt(generator, x, z) {
+  const h = terrainHeight(generator, x, z);
+  const biome = biomeAt(generator, x, z);
+  if (generator.profile.legacyBiomes) {
+    if (biome === BIOMES.snow || h >= generator.profile.mountainHeightThreshold) return BLOCKS.snow;
+    if (biome === BIOMES.desert || hasWaterInRadiusCached(generator, x, z, generator.profile.sandWaterRadius)) return BLOCKS.sand;
+    return BLOCKS.grass;
+  }
+
+  if (h >= generator.profile.mountainHeightThreshold) return BLOCKS.snow;
+  if (hasWaterInRadiusCached(generator, x, z, generator.profile.sandWaterRadius)) return getBiome(biome).shoreBlock;
+  return getBiome(biome).surfaceBlock;
+}
+
+function fillerBlockAt(generator, x, z) {
+  return generator.profile.legacyBiomes ? BLOCKS.dirt : getBiome(biomeAt(generator, x, z)).fillerBlock;
+}
+
+function mixMapColors(weights) {
+  const rgb = [0, 0, 0];
+  for (const { biome, weight } of weights) {
+    const value = Number.parseInt(biome.mapColor.slice(1), 16);
+    rgb[0] += ((value >> 16) & 255) * weight;
+    rgb[1] += ((value >> 8) & 255) * weight;
+    rgb[2] += (value & 255) * weight;
+  }
+  return `#${rgb.map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+export function sampleTerrainColorAtWorld(generator, x, z) {
+  const h = terrainHeight(generator, x, z);
+  const water = waterHeight(generator, x, z);
+
+  if (water >= h) return getBlock(BLOCKS.water).mapColor;
+  if (generator.profile.legacyBiomes) {
+    const biome = biomeAt(generator, x, z);
+    if (h > generator.profile.oceanLevel + 9) return getBlock(BLOCKS.stone).mapColor;
+    if (biome === BIOMES.snow) return getBlock(BLOCKS.snow).mapColor;
+    if (biome === BIOMES.desert) return LEGACY_MAP_COLORS.desert;
+    if (h > generator.profile.oceanLevel + 4) return LEGACY_MAP_COLORS.highland;
+    if (hasWaterInRadiusCached(generator, x, z, generator.profile.sandWaterRadius)) return LEGACY_MAP_COLORS.shore;
+    return getBlock(BLOCKS.grass).mapColor;
+  }
+
+  const surface = surfaceBlockAt(generator, x, z);
+  if (surface === BLOCKS.snow && h >= generator.profile.mountainHeightThreshold) return getBlock(surface).mapColor;
+  if (hasWaterInRadiusCached(generator, x, z, generator.profile.sandWaterRadius)) return getBlock(surface).mapColor;
+  return mixMapColors(biomeBlendAt(generator, x, z));
+}
+
+export function buildTerrainLodData(generator, tileX, tileZ) {
+  const samples = TERRAIN_LOD_TILE_SIZE / TERRAIN_LOD_SAMPLE_STEP + 1;
+  const originX = tileX * TERRAIN_LOD_TILE_SIZE;
+  const originZ = tileZ * TERRAIN_LOD_TILE_SIZE;
+  const positions = new Float32Array(samples * samples * 3);
+  const colors = new Float32Array(samples * samples * 3);
+  const indices = new Uint32Array((samples - 1) * (samples - 1) * 6);
+
+  for (let j = 0; j < samples; j += 1) {
+    for (let i = 0; i < samples; i += 1) {
+      const x = clampToWorld(generator, originX + i * TERRAIN_LOD_SAMPLE_STEP);
+      const z = clampToWorld(generator, originZ + j * TERRAIN_LOD_SAMPLE_STEP);
+      const surface = Math.max(terrainHeight(generator, x, z), waterHeight(generator, x, z));
+      const color = Number.parseInt(sampleTerrainColorAtWorld(generator, x, z).slice(1), 16);
+      const offset = (i + j * samples) * 3;
+      positions[offset] = x - originX;
+      positions[offset + 1] = surface + 1;
+      positions[offset + 2] = z - originZ;
+      colors[offset] = ((color >> 16) & 255) / 255;
+      colors[offset + 1] = ((color >> 8) & 255) / 255;
+      colors[offset + 2] = (color & 255) / 255;
+    }
+  }
+
+  let cursor = 0;
+  for (let j = 0; j < samples - 1; j += 1) {
+    for (let i = 0; i < samples - 1; i += 1) {
+      const a = i + j * samples;
+      const b = a + 1;
+      const c = a + samples;
+      const d = c + 1;
+      indices.set([a, c, b, b, c, d], cursor);
+      cursor += 6;
+    }
+  }
+
+  return { positions, colors, indices };
+}
+
+export function getGeneratedVoxelTypeAt(generator, wx, y, wz) {
+  if (!isColumnInWorld(generator, wx, wz) || y < 0 || y > MAX_HEIGHT) return BLOCKS.air;
+  const structureBlock = structureBlockAt(generator, wx, y, wz);
+  if (structureBlock !== null) return structureBlock;
+
+  const h = terrainHeight(generator, wx, wz);
+  const waterSurface = waterHeight(generator, wx, wz);
+
+  if (y > h && y <= waterSurface) return BLOCKS.water;
+
+  if (y > h) {
+    const treeBlock = treeBlockAt(generator, wx, y, wz);
+    return treeBlock === BLOCKS.air && y === h + 1 ? decorationAt(generator, wx, wz) : treeBlock;
+  }
+
+  if (y > generator.profile.caveMinY && y < h - 1) {
+    if (caveDensityAt(generator, wx, y, wz) > generator.profile.caveThreshold) return BLOCKS.air;
+  }
+
+  if (y <= 1) return BLOCKS.stone;
+
+  if (y === h) return surfaceBlockAt(generator, wx, wz);
+  if (y >= h - 2) return fillerBlockAt(generator, wx, wz);
+  return oreAt(generator, wx, y, wz);
+}
+
+function oreAt(generator, wx, y, wz) {
+  if (generator.profile.legacyOres) return BLOCKS.stone;
+  const biome = biomeAt(generator, wx, wz);
+  for (const ore of ORE_LIST) {
+    const abundance = ore.abundance * oreDepthFactor(ore, y) * oreBiomeFactor(ore, biome) * generator.profile.oreAbundance;
+    if (abundance <= 0) continue;
+    const seed = hashInt(ORE_NOISE_CHANNEL + ore.id, 0, 0, generator.seed) | 0;
+    const vein = gradientNoise3(wx * ore.scale, y * ore.scale * ORE_VERTICAL_SCALE, wz * ore.scale, seed);
+    if (vein > ORE_THRESHOLD_BASE - ORE_THRESHOLD_SLOPE * Math.log(abundance)) return ore.block;
+  }
+  return BLOCKS.stone;
+}
+
+function structureInRegion(generator, regionX, regionZ) {
+  const key = regionX * COLUMN_CACHE_KEY_STRIDE + regionZ;
+  if (generator.structureRegions.has(key)) return generator.structureRegions.get(key);
+
+  const structure = generator.profile.legacyStructures ? null : planStructure(generator, regionX, regionZ);
+  if (generator.structureRegions.size >= STRUCTURE_REGION_CACHE_LIMIT) generator.structureRegions.delete(generator.structureRegions.keys().next().value);
+  generator.structureRegions.set(key, structure);
+  return structure;
+}
+
+function planStructure(generator, regionX, regionZ) {
+  const span = STRUCTURE_REGION_SIZE - STRUCTURE_MARGIN * 2;
+  const x = regionX * STRUCTURE_REGION_SIZE + STRUCTURE_MARGIN + Math.floor(hash2(generator, regionX * 3.1 + 0.7, regionZ * 1.9 + 0.3) * span);
+  const z = regionZ * STRUCTURE_REGION_SIZE + STRUCTURE_MARGIN + Math.floor(hash2(generator, regionX * 1.3 + 0.9, regionZ * 2.7 + 0.1) * span);
+  if (!isColumnInWorld(generator, x - STRUCTURE_MARGIN, z - STRUCTURE_MARGIN) || !isColumnInWorld(generator, x + STRUCTURE_MARGIN, z + STRUCTURE_MARGIN)) return null;
+
+  const biome = biomeAt(generator, x, z);
+  const type = STRUCTURE_LIST.find(({ id, biomes, chance }) => (
+    (!biomes || biomes.includes(biome)) && hash2(generator, regionX * 2.3 + id * 6.7, regionZ * 3.7 + id * 2.9) < chance * generator.profile.structureFrequency
+  ));
+  if (!type) return null;
+
+  const pieces = layoutStructure(generator, type.layout, x, z);
+  if (!pieces) return null;
+  return {
+    id: `${type.key}:${regionX},${regionZ}`,
+    structure: type.id,
+    name: type.name,
+    iconColor: type.iconColor,
+    x,
+    z,
+    pieces,
+    minX: Math.min(...pieces.map((piece) => piece.minX)),
+    minZ: Math.min(...pieces.map((piece) => piece.minZ)),
+    maxX: Math.max(...pieces.map((piece) => piece.maxX)),
+    maxZ: Math.max(...pieces.map((piece) => piece.maxZ)),
+  };
+}
+
+function layoutStructure(generator, layout, x, z) {
+  switch (layout) {
+    case 'village':
+      return layoutVillage(generator, x, z);
+    case 'ruin': {
+      const ruin = placeGroundPiece(generator, 'ruin', x - 3, z - 3, Math.floor(hash2(generator, x * 0.29 + 3.3, z * 0.29 + 5.1) * 4), 1);
+      return ruin && [ruin];
+    }
+    case 'dungeon':
+      return layoutDungeon(generator, x, z);
+    default:
+      return null;
+  }
+}
+
+function layoutVillage(generator, x, z) {
+  const well = placeGroundPiece(generator, 'well', x - 1, z - 1, 0);
+  if (!well) return null;
+
+  const pieces = [well];
+  const paths = [];
+  const lamp = placeGroundPiece(generator, 'lamp', x + 2, z + 2, 0);
+  if (lamp) pieces.push(lamp);
+
+  const count = 3 + Math.floor(hash2(generator, x * 0.37 + 1.3, z * 0.37 + 9.1) * 4);
+  const start = Math.floor(hash2(generator, x * 0.53 + 7.7, z * 0.53 + 2.2) * VILLAGE_SLOTS.length);
+  let buildings = 0;
+  for (let index = 0; index < VILLAGE_SLOTS.length && buildings < count; index += 1) {
+    const [dx, dz] = VILLAGE_SLOTS[(start + index) % VILLAGE_SLOTS.length];
+    const rotation = villagePieceRotation(dx, dz);
+    const templateKey = hash2(generator, x + dx * 1.7 + 0.5, z + dz * 1.3 + 0.5) < 0.7 ? 'house' : 'farm';
+    const piece = placeGroundPiece(generator, templateKey, x + dx - 2, z + dz - 2, rotation);
+    if (!piece) continue;
+
+    const [stepX, stepZ] = VILLAGE_DOOR_STEPS[rotation];
+    const doorX = x + dx + stepX * 3;
+    const doorZ = z + dz + stepZ * 3;
+    buildings += 1;
+    pieces.push(piece);
+    paths.push(pathPiece(x, z, x, doorZ), pathPiece(x, doorZ, doorX, doorZ));
+  }
+
+  return buildings >= VILLAGE_MIN_BUILDINGS ? [...pieces, ...paths] : null;
+}
+
+function villagePieceRotation(dx, dz) {
+  if (Math.abs(dz) >= Math.abs(dx)) return dz > 0 ? 2 : 0;
+  return dx > 0 ? 1 : 3;
+}
+
+function layoutDungeon(generator, x, z) {
+  const piece = templatePiece('dungeon', x - 3, z - 3, 0);
+  const ground = Math.min(...pieceGroundSamples(piece).map(([sx, sz]) => terrainHeight(generator, sx, sz)));
+  piece.y = Math.max(2, ground - DUNGEON_DEPTH);
+  return ground >= piece.y + piece.template.sizeY + 3 ? [piece] : null;
+}
+
+function templatePiece(templateKey, x, z, rotation) {
+  const template = STRUCTURE_TEMPLATES[templateKey];
+  const isTurned = rotation % 2 === 1;
+  const sizeX = isTurned ? template.sizeZ : template.sizeX;
+  const sizeZ = isTurned ? template.sizeX : template.sizeZ;
+  return { type: 'template', template, rotation, x, y: 0, z, sizeX, sizeZ, minX: x, minZ: z, maxX: x + sizeX - 1, maxZ: z + sizeZ - 1 };
+}
+
+function pathPiece(fromX, fromZ, toX, toZ) {
+  return { type: 'path', minX: Math.min(fromX, toX), minZ: Math.min(fromZ, toZ), maxX: Math.max(fromX, toX), maxZ: Math.max(fromZ, toZ) };
+}
+
+function pieceGroundSamples({ minX, minZ, maxX, maxZ }) {
+  return [[minX, minZ], [maxX, minZ], [minX, maxZ], [maxX, maxZ], [(minX + maxX) >> 1, (minZ + maxZ) >> 1]];
+}
+
+function placeGroundPiece(generator, templateKey, x, z, rotation, depth = 0) {
+  const piece = templatePiece(templateKey, x, z, rotation);
+  const samples = pieceGroundSamples(piece);
+  const ground = terrainHeight(generator, ...samples[samples.length - 1]);
+  for (const [sx, sz] of samples) {
+    if (!isColumnInWorld(generator, sx, sz) || hasWaterAt(generator, sx, sz) || Math.abs(terrainHeight(generator, sx, sz) - ground) > STRUCTURE_FLATNESS) return null;
+  }
+  piece.y = ground - depth;
+  return piece;
+}
+
+function collectStructurePieces(generator, cx, cz) {
+  const minX = cx * CHUNK_SIZE;
+  const minZ = cz * CHUNK_SIZE;
+  const structure = structureInRegion(generator, Math.floor(minX / STRUCTURE_REGION_SIZE), Math.floor(minZ / STRUCTURE_REGION_SIZE));
+  if (!structure) return [];
+  return structure.pieces.filter((piece) => (
+    piece.maxX >= minX && piece.minX < minX + CHUNK_SIZE && piece.maxZ >= minZ && piece.minZ < minZ + CHUNK_SIZE
+  ));
+}
+
+function structureBlockAt(generator, wx, y, wz) {
+  if (generator.profile.legacyStructures) return null;
+  const columnCache = columnCacheAt(generator, wx, wz);
+  if (!columnCache.structures) columnCache.structures = collectStructurePieces(generator, Math.floor(wx / CHUNK_SIZE), Math.floor(wz / CHUNK_SIZE));
+
+  for (const piece of columnCache.structures) {
+    if (wx < piece.minX || wx > piece.maxX || wz < piece.minZ || wz > piece.maxZ) continue;
+    const block = piece.type === 'path' ? pathBlockAt(generator, wx, y, wz) : templatePieceBlockAt(generator, piece, wx, y, wz);
+    if (block !== null) return block;
+  }
+  return null;
+}
+
+function templatePieceBlockAt(generator, piece, wx, y, wz) {
+  const { template, sizeX, sizeZ } = piece;
+  const layer = y - piece.y;
+  if (layer < -STRUCTURE_FOUNDATION_DEPTH || layer >= template.sizeY) return null;
+
+  const u = wx - piece.x;
+  const v = wz - piece.z;
+  let tx = u;
+  let tz = v;
+  if (piece.rotation === 1) {
+    tx = v;
+    tz = sizeX - 1 - u;
+  } else if (piece.rotation === 2) {
+    tx = sizeX - 1 - u;
+    tz = sizeZ - 1 - v;
+  } else if (piece.rotation === 3) {
+    tx = sizeZ - 1 - v;
+    tz = u;
+  }
+
+  if (layer < 0) {
+    if (template.foundation === null || templateBlockAt(template, tx, 0, tz) < 0 || y <= terrainHeight(generator, wx, wz)) return null;
+    return template.foundation;
+  }
+  const block = templateBlockAt(template, tx, layer, tz);
+  if (block < 0) return null;
+  if (block !== BLOCKS.air && template.decay && hash2(generator, wx * 0.83 + y * 0.37 + 11.3, wz * 0.79 + y * 0.61 + 5.9) < template.decay) return null;
+  return block;
+}
+
+function pathBlockAt(generator, wx, y, wz) {
+  const h = terrainHeight(generator, wx, wz);
+  if (y < h || y > h + 1 || hasWaterAt(generator, wx, wz)) return null;
+  return y === h ? BLOCKS.gravel : BLOCKS.air;
+}
+
+function isNearStructure(generator, x, z, margin) {
+  if (generator.profile.legacyStructures) return false;
+  const structure = structureInRegion(generator, Math.floor(x / STRUCTURE_REGION_SIZE), Math.floor(z / STRUCTURE_REGION_SIZE));
+  return !!structure && x >= structure.minX - margin && x <= structure.maxX + margin && z >= structure.minZ - margin && z <= structure.maxZ + margin;
+}
+
+export function structuresInArea(generator, minX, minZ, maxX, maxZ) {
+  const structures = [];
+  for (let regionZ = Math.floor(minZ / STRUCTURE_REGION_SIZE); regionZ <= Math.floor(maxZ / STRUCTURE_REGION_SIZE); regionZ += 1) {
+    for (let regionX = Math.floor(minX / STRUCTURE_REGION_SIZE); regionX <= Math.floor(maxX / STRUCTURE_REGION_SIZE); regionX += 1) {
+      const structure = structureInRegion(generator, regionX, regionZ);
+      if (!structure || structure.x < minX || structure.x > maxX || structure.z < minZ || structure.z > maxZ) continue;
+      const { id, name, iconColor, x, z } = structure;
+      structures.push({ id, structure: structure.structure, name, iconColor, x, z });
+    }
+  }
+  return structures;
+}
+
+export function chunkKey(cx, cz) {
+  return `${cx},${cz}`;
+}
+
+export function chunkVoxelIndex(lx, y, lz) {
+  return lx + lz * CHUNK_SIZE + y * CHUNK_SIZE * CHUNK_SIZE;
+}
+
+export function getVoxelTypeAt(generator, wx, y, wz) {
+  if (generator.chunkEdits.size && y >= 0 && y <= MAX_HEIGHT) {
+    const cx = Math.floor(wx / CHUNK_SIZE);
+    const cz = Math.floor(wz / CHUNK_SIZE);
+    const edits = generator.chunkEdits.get(chunkKey(cx, cz));
+    if (edits) {
+      const edited = edits.get(chunkVoxelIndex(wx - cx * CHUNK_SIZE, y, wz - cz * CHUNK_SIZE));
+      if (edited !== undefined) return edited;
+    }
+  }
+  return getGeneratedVoxelTypeAt(generator, wx, y, wz);
+}
+
+export function loadChunkEdits(generator, worldData) {
+  generator.chunkEdits.clear();
+  generator.chunkVoxelCache.clear();
+  for (const [key, entries] of Object.entries(worldData?.edits || {})) setChunkEdits(generator, key, entries);
+}
+
+export function setChunkEdits(generator, key, entries) {
+  const edits = new Map();
+  for (const [index, type] of Object.entries(entries || {})) edits.set(Number(index), type);
+  generator.chunkVoxelCache.delete(key);
+  if (edits.size) {
+    generator.chunkEdits.set(key, edits);
+  } else {
+    generator.chunkEdits.delete(key);
+  }
+}
+
+export function applyVoxelEdit(generator, wx, y, wz, type) {
+  const cx = Math.floor(wx / CHUNK_SIZE);
+  const cz = Math.floor(wz / CHUNK_SIZE);
+  const key = chunkKey(cx, cz);
+  const index = chunkVoxelIndex(wx - cx * CHUNK_SIZE, y, wz - cz * CHUNK_SIZE);
+  const edits = generator.chunkEdits.get(key) || new Map();
+  if (getGeneratedVoxelTypeAt(generator, wx, y, wz) === type) {
+    edits.delete(index);
+  } else {
+    edits.set(index, type);
+  }
+  const entries = Object.fromEntries(edits);
+  setChunkEdits(generator, key, entries);
+  return { key, entries };
+}
+
+export function buildChunkVoxelData(generator, cx, cz) {
+  const voxels = generateChunkVoxels(generator, cx, cz);
+  const edits = generator.chunkEdits.get(chunkKey(cx, cz));
+  if (edits) {
+    for (const [index, type] of edits) voxels[index] = type;
+  }
+  return voxels;
+}
+
+export function generateChunkVoxels(generator, cx, cz) {
+  const sizeY = MAX_HEIGHT + 1;
+  const voxels = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE * sizeY);
+  const minX = cx * CHUNK_SIZE;
+  const minZ = cz * CHUNK_SIZE;
+
+  for (let lz = 0; lz < CHUNK_SIZE; lz += 1) {
+    for (let lx = 0; lx < CHUNK_SIZE; lx += 1) {
+      const wx = minX + lx;
+      const wz = minZ + lz;
+      for (let y = 0; y <= MAX_HEIGHT; y += 1) {
+        voxels[chunkVoxelIndex(lx, y, lz)] = getGeneratedVoxelTypeAt(generator, wx, y, wz);
+      }
+    }
+  }
+  return voxels;
+}
+
+function getChunkVoxels(generator, cx, cz) {
+  const key = chunkKey(cx, cz);
+  let voxels = generator.chunkVoxelCache.get(key);
+  if (voxels) {
+    generator.chunkVoxelCache.delete(key);
+  } else {
+    voxels = buildChunkVoxelData(generator, cx, cz);
+    if (generator.chunkVoxelCache.size >= CHUNK_VOXEL_CACHE_LIMIT) generator.chunkVoxelCache.delete(generator.chunkVoxelCache.keys().next().value);
+  }
+  generator.chunkVoxelCache.set(key, voxels);
+  return voxels;
+}
+
+function propagateLight(levels, types, queue) {
+  const size = LIGHT_REGION_SIZE;
+  const layer = size * size;
+  for (let head = 0; head < queue.length; head += 1) {
+    const index = queue[head];
+    const level = levels[index];
+    if (level <= 1) continue;
+    const x = index % size;
+    const z = Math.floor(index / size) % size;
+    const y = Math.floor(index / layer);
+    const spread = (neighbor) => {
+      const next = level - 1 - LIGHT_FILTER[types[neighbor]];
+      if (next > levels[neighbor]) {
+        levels[neighbor] = next;
+        queue.push(neighbor);
+      }
+    };
+    if (x > 0) spread(index - 1);
+    if (x < size - 1) spread(index + 1);
+    if (z > 0) spread(index - size);
+    if (z < size - 1) spread(index + size);
+    if (y > 0) spread(index - layer);
+    if (y < MAX_HEIGHT) spread(index + layer);
+  }
+}
+
+export function buildChunkLightData(generator, cx, cz) {
+  const size = LIGHT_REGION_SIZE;
+  const layer = size * size;
+  const types = new Uint8Array(layer * (MAX_HEIGHT + 1));
+  for (let dz = -1; dz <= 1; dz += 1) {
+    for (let dx = -1; dx <= 1; dx += 1) {
+      const voxels = getChunkVoxels(generator, cx + dx, cz + dz);
+      const offsetX = (dx + 1) * CHUNK_SIZE;
+      const offsetZ = (dz + 1) * CHUNK_SIZE;
+      for (let y = 0; y <= MAX_HEIGHT; y += 1) {
+        for (let lz = 0; lz < CHUNK_SIZE; lz += 1) {
+          const start = chunkVoxelIndex(0, y, lz);
+          types.set(voxels.subarray(start, start + CHUNK_SIZE), offsetX + (offsetZ + lz) * size + y * layer);
+        }
+      }
+    }
+  }
+
+  const sky = new Uint8Array(types.length);
+  for (let z = 0; z < size; z += 1) {
+    for (let x = 0; x < size; x += 1) {
+      let level = MAX_LIGHT_LEVEL;
+      for (let y = MAX_HEIGHT; y >= 0; y -= 1) {
+        const index = x + z * size + y * layer;
+        level -= LIGHT_FILTER[types[index]];
+        if (level <= 0) break;
+        sky[index] = level;
+      }
+    }
+  }
+
+  const queue = [];
+  for (let index = 0; index < sky.length; index += 1) {
+    const level = sky[index];
+    if (level <= 1) continue;
+    const x = index % size;
+    const z = Math.floor(index / size) % size;
+    if ((x > 0 && sky[index - 1] < level - 1) || (x < size - 1 && sky[index + 1] < level - 1)
+      || (z > 0 && sky[index - size] < level - 1) || (z < size - 1 && sky[index + size] < level - 1)) {
+      queue.push(index);
+    }
+  }
+  propagateLight(sky, types, queue);
+
+  const block = new Uint8Array(types.length);
+  queue.length = 0;
+  for (let index = 0; index < types.length; index += 1) {
+    const emission = LIGHT_EMISSION[types[index]];
+    if (!emission) continue;
+    block[index] = emission;
+    queue.push(index);
+  }
+  propagateLight(block, types, queue);
+
+  return { types, sky, block };
+}
+
+const AO_BRIGHTNESS = Object.freeze([0.45, 0.64, 0.82, 1]);
+const CROSS_INSET = 0.15;
+const CROSS_QUADS = Object.freeze([
+  [[0, 0], [1, 1]],
+  [[1, 1], [0, 0]],
+  [[0, 1], [1, 0]],
+  [[1, 0], [0, 1]],
+]);
+
+function pushQuad(buffers, corners, face, tile, shading) {
+  const base = buffers.positions.length / 3;
+  const [uAxis, vAxis] = face.uvAxes;
+  const aoLevels = shading % 256;
+  const skyLevels = Math.floor(shading / 256) % 65536;
+  const blockLevels = Math.floor(shading / 16777216);
+  corners.forEach((corner, index) => {
+    buffers.positions.push(corner[0], corner[1], corner[2]);
+    buffers.normals.push(face.normal[0], face.normal[1], face.normal[2]);
+    buffers.uvs.push(corner[uAxis], corner[vAxis]);
+    buffers.tiles.push(tile);
+    buffers.ao.push(AO_BRIGHTNESS[(aoLevels >> (index * 2)) & 3]);
+    buffers.light.push(((skyLevels >> (index * 4)) & 15) / MAX_LIGHT_LEVEL, ((blockLevels >> (index * 4)) & 15) / MAX_LIGHT_LEVEL);
+  });
+  const level = (index) => (aoLevels >> (index * 2)) & 3;
+  if (level(0) + level(2) < level(1) + level(3)) {
+    buffers.indices.push(base, base + 1, base + 3, base + 1, base + 2, base + 3);
+  } else {
+    buffers.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+  }
+}
+
+function cornerSampleOffsets(axis, corners) {
+  const u = (axis + 1) % 3;
+  const v = (axis + 2) % 3;
+  return corners.map((corner) => {
+    const side1 = [0, 0, 0];
+    side1[u] = corner[u] ? 1 : -1;
+    const side2 = [0, 0, 0];
+    side2[v] = corner[v] ? 1 : -1;
+    return [side1, side2, [side1[0] + side2[0], side1[1] + side2[1], side1[2] + side2[2]]];
+  });
+}
+
+const CHUNK_FACES = Object.freeze([
+  { axis: 0, normal: [1, 0, 0], uvAxes: [2, 1], corners: [[1, 0, 0], [1, 0, 1], [1, 1, 1], [1, 1, 0]] },
+  { axis: 0, normal: [-1, 0, 0], uvAxes: [2, 1], corners: [[0, 0, 0], [0, 1, 0], [0, 1, 1], [0, 0, 1]] },
+  { axis: 1, normal: [0, 1, 0], uvAxes: [0, 2], corners: [[0, 1, 0], [1, 1, 0], [1, 1, 1], [0, 1, 1]] },
+  { axis: 1, normal: [0, -1, 0], uvAxes: [0, 2], corners: [[0, 0, 0], [0, 0, 1], [1, 0, 1], [1, 0, 0]] },
+  { axis: 2, normal: [0, 0, 1], uvAxes: [0, 1], corners: [[0, 0, 1], [0, 1, 1], [1, 1, 1], [1, 0, 1]] },
+  { axis: 2, normal: [0, 0, -1], uvAxes: [0, 1], corners: [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]] },
+].map((face) => ({ ...face, cornerSamples: cornerSampleOffsets(face.axis, face.corners) })));
+
+function lightRegionIndex(x, y, z) {
+  return x + CHUNK_SIZE + (z + CHUNK_SIZE) * LIGHT_REGION_SIZE + y * LIGHT_REGION_SIZE * LIGHT_REGION_SIZE;
+}
+
+function packGeometry(buffers, naiveTriangles) {
+  return {
+    positions: new Float32Array(buffers.positions),
+    normals: new Float32Array(buffers.normals),
+    uvs: new Float32Array(buffers.uvs),
+    tiles: new Float32Array(buffers.tiles),
+    ao: new Float32Array(buffers.ao),
+    light: new Float32Array(buffers.light),
+    indices: new Uint32Array(buffers.indices),
+    naiveTriangles,
+  };
+}
+
+function buildCrossGeometry(voxels, materialType, light) {
+  const buffers = { positions: [], normals: [], uvs: [], tiles: [], ao: [], light: [], indices: [] };
+  const tile = getBlockFaceTile(materialType, 0);
+  const span = 1 - CROSS_INSET * 2;
+  let plantCount = 0;
+  for (let y = 0; y <= MAX_HEIGHT; y += 1) {
+    for (let z = 0; z < CHUNK_SIZE; z += 1) {
+      for (let x = 0; x < CHUNK_SIZE; x += 1) {
+        if (voxels[chunkVoxelIndex(x, y, z)] !== materialType) continue;
+        const index = lightRegionIndex(x, y, z);
+        const sky = light.sky[index] / MAX_LIGHT_LEVEL;
+        const block = light.block[index] / MAX_LIGHT_LEVEL;
+        for (const [from, to] of CROSS_QUADS) {
+          const base = buffers.positions.length / 3;
+          const x0 = x + CROSS_INSET + from[0] * span;
+          const z0 = z + CROSS_INSET + from[1] * span;
+          const x1 = x + CROSS_INSET + to[0] * span;
+          const z1 = z + CROSS_INSET + to[1] * span;
+          buffers.positions.push(x0, y, z0, x1, y, z1, x1, y + 1, z1, x0, y + 1, z0);
+          buffers.uvs.push(0, 0, 1, 0, 1, 1, 0, 1);
+          for (let corner = 0; corner < 4; corner += 1) {
+            buffers.normals.push(0, 1, 0);
+            buffers.tiles.push(tile);
+            buffers.ao.push(1);
+            buffers.light.push(sky, block);
+          }
+          buffers.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        }
+        plantCount += 1;
+      }
+    }
+  }
+
+  if (!plantCount) return null;
+  return packGeometry(buffers, plantCount * CROSS_QUADS.length * 2);
+}
+
+export function buildMaterialGreedyGeometry(voxels, materialType, light) {
+  if (isCrossBlock(materialType)) return buildCrossGeometry(voxels, materialType, light);
+  const buffers = { positions: [], normals: [], uvs: [], tiles: [], ao: [], light: [], indices: [] };
+
+  const voxelAt = (x, y, z) => {
+    if (y < 0 || y > MAX_HEIGHT) return BLOCKS.air;
+    if (x < 0 || z < 0 || x >= CHUNK_SIZE || z >= CHUNK_SIZE) return light.types[lightRegionIndex(x, y, z)];
+    return voxels[chunkVoxelIndex(x, y, z)];
+  };
+
+  const skyLightAt = (x, y, z) => {
+    if (y > MAX_HEIGHT) return MAX_LIGHT_LEVEL;
+    return y < 0 ? 0 : light.sky[lightRegionIndex(x, y, z)];
+  };
+
+  const blockLightAt = (x, y, z) => {
+    if (y < 0 || y > MAX_HEIGHT) return 0;
+    return light.block[lightRegionIndex(x, y, z)];
+  };
+
+  const occludes = (x, y, z) => {
+    const type = voxelAt(x, y, z);
+    return type !== BLOCKS.air && !isTransparentBlock(type) ? 1 : 0;
+  };
+
+  const faceShading = (face, x, y, z) => {
+    const px = x + face.normal[0];
+    const py = y + face.normal[1];
+    const pz = z + face.normal[2];
+    const centerSky = skyLightAt(px, py, pz);
+    const centerBlock = blockLightAt(px, py, pz);
+    let aoLevels = 0;
+    let skyLevels = 0;
+    let blockLevels = 0;
+    for (let index = 0; index < 4; index += 1) {
+      let sky = centerSky;
+      let block = centerBlock;
+      let samples = 1;
+      const occluded = [0, 0, 0];
+      face.cornerSamples[index].forEach(([dx, dy, dz], sample) => {
+        if (sample === 2 && occluded[0] && occluded[1]) {
+          occluded[2] = 1;
+          return;
+        }
+        occluded[sample] = occludes(px + dx, py + dy, pz + dz);
+        if (occluded[sample]) return;
+        sky += skyLightAt(px + dx, py + dy, pz + dz);
+        block += blockLightAt(px + dx, py + dy, pz + dz);
+        samples += 1;
+      });
+      const [a, b, c] = occluded;
+      aoLevels |= (a && b ? 0 : 3 - a - b - c) << (index * 2);
+      skyLevels |= Math.round(sky / samples) << (index * 4);
+      blockLevels |= Math.round(block / samples) << (index * 4);
+    }
+    return aoLevels + (skyLevels + blockLevels * 65536) * 256;
+  };
+
+  const isOpen = (type) => type === BLOCKS.air || isCrossBlock(type);
+
+  const isTransparentAdjacent = (x, y, z) => {
+    for (const face of CHUNK_FACES) {
+      const neighbor = voxelAt(x + face.normal[0], y + face.normal[1], z + face.normal[2]);
+      if (!isOpen(neighbor) && isTransparentBlock(neighbor)) return true;
+    }
+    return false;
+  };
+
+  const faceBits = new Uint8Array(voxels.length);
+  let naiveFaceCount = 0;
+  let minY = MAX_HEIGHT;
+  let maxY = 0;
+  for (let y = 0; y <= MAX_HEIGHT; y += 1) {
+    for (let z = 0; z < CHUNK_SIZE; z += 1) {
+      for (let x = 0; x < CHUNK_SIZE; x += 1) {
+        if (voxels[chunkVoxelIndex(x, y, z)] !== materialType) continue;
+        const shouldForceAllFaces = !isTransparentBlock(materialType) && isTransparentAdjacent(x, y, z);
+
+        let bits = 0;
+        for (let faceIndex = 0; faceIndex < CHUNK_FACES.length; faceIndex += 1) {
+          const { normal } = CHUNK_FACES[faceIndex];
+          if (!shouldForceAllFaces && !isOpen(voxelAt(x + normal[0], y + normal[1], z + normal[2]))) continue;
+          bits |= 1 << faceIndex;
+          naiveFaceCount += 1;
+        }
+        faceBits[chunkVoxelIndex(x, y, z)] = bits;
+        if (bits) {
+          minY = Math.min(minY, y);
+          maxY = Math.max(maxY, y);
+        }
+      }
+    }
+  }
+
+  if (!naiveFaceCount) return null;
+
+  const lo = [0, minY, 0];
+  const hi = [CHUNK_SIZE - 1, maxY, CHUNK_SIZE - 1];
+  const cell = [0, 0, 0];
+  const base = [0, 0, 0];
+  CHUNK_FACES.forEach((face, faceIndex) => {
+    const d = face.axis;
+    const u = (d + 1) % 3;
+    const v = (d + 2) % 3;
+    const width = hi[u] - lo[u] + 1;
+    const height = hi[v] - lo[v] + 1;
+    const faceBit = 1 << faceIndex;
+    const tile = getBlockFaceTile(materialType, face.normal[1]);
+    const size = [1, 1, 1];
+    const mask = new Float64Array(width * height);
+
+    for (let slice = lo[d]; slice <= hi[d]; slice += 1) {
+      cell[d] = slice;
+      let hasFaces = false;
+      for (let j = 0; j < height; j += 1) {
+        cell[v] = lo[v] + j;
+        for (let i = 0; i < width; i += 1) {
+          cell[u] = lo[u] + i;
+          const visible = (faceBits[chunkVoxelIndex(cell[0], cell[1], cell[2])] & faceBit) !== 0;
+          mask[i + j * width] = visible ? 1 + faceShading(face, cell[0], cell[1], cell[2]) : 0;
+          if (visible) hasFaces = true;
+        }
+      }
+      if (!hasFaces) continue;
+
+      for (let j = 0; j < height; j += 1) {
+        for (let i = 0; i < width;) {
+          const cellMask = mask[i + j * width];
+          if (!cellMask) {
+            i += 1;
+            continue;
+          }
+
+          let quadWidth = 1;
+          while (i + quadWidth < width && mask[i + quadWidth + j * width] === cellMask) quadWidth += 1;
+
+          let quadHeight = 1;
+          while (j + quadHeight < height) {
+            let rowFilled = true;
+            for (let k = 0; k < quadWidth; k += 1) {
+              if (mask[i + k + (j + quadHeight) * width] !== cellMask) {
+                rowFilled = false;
+                break;
+              }
+            }
+            if (!rowFilled) break;
+            quadHeight += 1;
+          }
+
+          for (let row = j; row < j + quadHeight; row += 1) {
+            mask.fill(0, i + row * width, i + quadWidth + row * width);
+          }
+
+          base[d] = slice;
+          base[u] = lo[u] + i;
+          base[v] = lo[v] + j;
+          size[u] = quadWidth;
+          size[v] = quadHeight;
+          const corners = face.corners.map((corner) => corner.map((c, axis) => base[axis] + c * size[axis]));
+          pushQuad(buffers, corners, face, tile, cellMask - 1);
+          i += quadWidth;
+        }
+      }
+    }
+  });
+
+  return packGeometry(buffers, naiveFaceCount * 2);
+}
+
+export function buildChunkMeshData(generator, cx, cz) {
+  const voxels = getChunkVoxels(generator, cx, cz);
+  const light = buildChunkLightData(generator, cx, cz);
+  const meshes = [];
+  for (const type of RENDERED_BLOCK_TYPES) {
+    const mesh = buildMaterialGreedyGeometry(voxels, type, light);
+    if (mesh) meshes.push({ type, ...mesh });
+  }
+  return meshes;
+}